@@ -0,0 +1,372 @@
+/**
+ * 图片元数据读写
+ * 主线程与 Render Worker 共用：直接操作 PNG / JPEG / WebP 的字节，不重新编码
+ * 导入时读取 / 清理 EXIF，导出时写入 sRGB 与 DPI
+ */
+
+const ImageMeta = (() => {
+    // --- 字节工具 ---
+    const ascii = (str) => Array.from(str, c => c.charCodeAt(0));
+    const u16 = (v) => [(v >>> 8) & 0xFF, v & 0xFF];
+    const u32 = (v) => [(v >>> 24) & 0xFF, (v >>> 16) & 0xFF, (v >>> 8) & 0xFF, v & 0xFF];
+    const u24le = (v) => [v & 0xFF, (v >>> 8) & 0xFF, (v >>> 16) & 0xFF];
+    const u32le = (v) => [v & 0xFF, (v >>> 8) & 0xFF, (v >>> 16) & 0xFF, (v >>> 24) & 0xFF];
+    const s15f16 = (v) => u32(Math.round(v * 65536) >>> 0);
+    const readU32 = (b, i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+    const tag = (b, i) => String.fromCharCode(b[i], b[i + 1], b[i + 2], b[i + 3]);
+
+    const concat = (parts) => {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        parts.forEach(p => { out.set(p, offset); offset += p.length; });
+        return out;
+    };
+
+    // --- sRGB ICC 配置文件 (v4，矩阵 + 参数曲线，约 500 字节) ---
+    let srgbProfile = null;
+
+    const mluc = (text) => {
+        const str = [];
+        for (const c of text) str.push(...u16(c.charCodeAt(0)));
+        return [...ascii('mluc'), 0, 0, 0, 0, ...u32(1), ...u32(12), ...ascii('enUS'), ...u32(str.length), ...u32(28), ...str];
+    };
+    const xyz = (x, y, z) => [...ascii('XYZ '), 0, 0, 0, 0, ...s15f16(x), ...s15f16(y), ...s15f16(z)];
+
+    const buildSrgbProfile = () => {
+        // D50 适配后的 sRGB 原色 (Bradford)
+        const tags = [
+            ['desc', mluc('sRGB')],
+            ['cprt', mluc('No copyright, use freely')],
+            ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+            ['chad', [...ascii('sf32'), 0, 0, 0, 0, ...[
+                1.0479, 0.0229, -0.0502,
+                0.0296, 0.9904, -0.0171,
+                -0.0092, 0.0151, 0.7519
+            ].flatMap(s15f16)]],
+            ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+            ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+            ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+            // sRGB 传递函数：Y = (aX + b)^g (X >= d)，Y = cX (X < d)
+            ['rTRC', [...ascii('para'), 0, 0, 0, 0, ...u16(3), 0, 0, ...[2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045].flatMap(s15f16)]]
+        ];
+        const shared = { gTRC: 'rTRC', bTRC: 'rTRC' };
+        const count = tags.length + Object.keys(shared).length;
+        let offset = 128 + 4 + count * 12;
+        const table = [];
+        const data = [];
+        const offsets = {};
+        tags.forEach(([sig, bytes]) => {
+            const padded = bytes.concat(new Array((4 - bytes.length % 4) % 4).fill(0));
+            offsets[sig] = [offset, bytes.length];
+            table.push(...ascii(sig), ...u32(offset), ...u32(bytes.length));
+            data.push(...padded);
+            offset += padded.length;
+        });
+        Object.entries(shared).forEach(([sig, from]) => table.push(...ascii(sig), ...u32(offsets[from][0]), ...u32(offsets[from][1])));
+
+        const header = [
+            ...u32(offset), 0, 0, 0, 0, 0x04, 0x30, 0, 0,
+            ...ascii('mntr'), ...ascii('RGB '), ...ascii('XYZ '),
+            ...u16(2024), ...u16(1), ...u16(1), 0, 0, 0, 0, 0, 0,
+            ...ascii('acsp'), ...new Array(24).fill(0),
+            ...u32(0), // 渲染意图：感知
+            ...s15f16(0.9642), ...s15f16(1.0), ...s15f16(0.8249)
+        ];
+        while (header.length < 128) header.push(0);
+        return new Uint8Array([...header, ...u32(count), ...table, ...data]);
+    };
+
+    const getSrgbProfile = () => srgbProfile || (srgbProfile = buildSrgbProfile());
+
+    // --- PNG：IHDR 后写入 sRGB + pHYs，去掉旧的色彩/密度块 ---
+    let crcTable = null;
+    const crc32 = (bytes) => {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    const pngChunk = (type, data) => {
+        const body = new Uint8Array([...ascii(type), ...data]);
+        return concat([new Uint8Array(u32(data.length)), body, new Uint8Array(u32(crc32(body)))]);
+    };
+
+    const writePng = (bytes, { dpi }) => {
+        const REPLACED = ['sRGB', 'pHYs', 'iCCP', 'gAMA', 'cHRM'];
+        const parts = [bytes.subarray(0, 8)];
+        let i = 8;
+        while (i < bytes.length) {
+            const len = readU32(bytes, i);
+            const type = tag(bytes, i + 4);
+            const end = i + 12 + len;
+            if (!REPLACED.includes(type)) parts.push(bytes.subarray(i, end));
+            if (type === 'IHDR') {
+                parts.push(pngChunk('sRGB', [0]));
+                if (dpi) {
+                    const ppm = Math.round(dpi / 0.0254);
+                    parts.push(pngChunk('pHYs', [...u32(ppm), ...u32(ppm), 1]));
+                }
+            }
+            i = end;
+        }
+        return concat(parts);
+    };
+
+    // --- JPEG：JFIF 密度单位改为 DPI，并插入 APP2 ICC_PROFILE ---
+    const writeJpeg = (bytes, { dpi }) => {
+        const icc = getSrgbProfile();
+        const app2 = new Uint8Array([0xFF, 0xE2, ...u16(2 + 14 + icc.length), ...ascii('ICC_PROFILE'), 0, 1, 1, ...icc]);
+        const density = dpi || 72;
+        let head, rest;
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0 && tag(bytes, 6) === 'JFIF') {
+            const end = 4 + ((bytes[4] << 8) | bytes[5]);
+            head = bytes.slice(0, end);
+            head[13] = 1;
+            head.set(u16(density), 14);
+            head.set(u16(density), 16);
+            rest = bytes.subarray(end);
+        } else {
+            head = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, ...u16(16), ...ascii('JFIF'), 0, 1, 2, 1, ...u16(density), ...u16(density), 0, 0]);
+            rest = bytes.subarray(2);
+        }
+        return concat([head, app2, rest]);
+    };
+
+    // --- WebP：转为扩展格式 (VP8X) 并插入 ICCP；WebP 没有标准 DPI 字段 ---
+    const writeWebp = (bytes, { width, height }) => {
+        const icc = getSrgbProfile();
+        const iccp = concat([new Uint8Array([...ascii('ICCP'), ...u32le(icc.length)]), icc, new Uint8Array(icc.length % 2)]);
+        const first = tag(bytes, 12);
+        let chunks;
+        if (first === 'VP8X') {
+            const vp8x = bytes.slice(12, 30);
+            vp8x[8] |= 0x20;
+            chunks = [vp8x, iccp, bytes.subarray(30)];
+        } else {
+            // VP8L 可能带透明通道，保守地打开 alpha 标记
+            const flags = 0x20 | (first === 'VP8L' ? 0x10 : 0);
+            const vp8x = new Uint8Array([...ascii('VP8X'), ...u32le(10), flags, 0, 0, 0, ...u24le(width - 1), ...u24le(height - 1)]);
+            chunks = [vp8x, iccp, bytes.subarray(12)];
+        }
+        const body = concat(chunks);
+        return concat([new Uint8Array([...ascii('RIFF'), ...u32le(body.length + 4), ...ascii('WEBP')]), body]);
+    };
+
+    // --- EXIF 读取 (仅 JPEG，手机照片的常见格式) 与清理 (JPEG / PNG / WebP) ---
+    const EXIF_HEADER = 'Exif\0\0';
+
+    // 遍历 JPEG 标记段直到图像数据 (SOS)，回调 (marker, start, end)
+    const eachSegment = (bytes, fn) => {
+        let i = 2;
+        while (i + 4 <= bytes.length && bytes[i] === 0xFF) {
+            const marker = bytes[i + 1];
+            if (marker === 0xDA || marker === 0xD9) return i;
+            const end = i + 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+            fn(marker, i, end);
+            i = end;
+        }
+        return i;
+    };
+
+    const isExifSegment = (bytes, marker, start) => marker === 0xE1
+        && String.fromCharCode(...bytes.subarray(start + 4, start + 10)) === EXIF_HEADER;
+
+    // "2024:05:01 13:45:00" -> 本地时间戳
+    const parseExifDate = (str) => {
+        const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(str || '');
+        if (!m || m[1] === '0000') return null;
+        const t = new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime();
+        return isNaN(t) ? null : t;
+    };
+
+    // 解析 TIFF 结构中需要的字段：方向、拍摄时间、是否含 GPS
+    const parseTiff = (bytes, base) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + base, bytes.length - base);
+        const le = view.getUint16(0) === 0x4949;
+        const get16 = (o) => view.getUint16(o, le);
+        const get32 = (o) => view.getUint32(o, le);
+        const readAscii = (entry) => {
+            const count = get32(entry + 4);
+            const at = count > 4 ? get32(entry + 8) : entry + 8;
+            let str = '';
+            for (let k = 0; k < count - 1 && at + k < view.byteLength; k++) str += String.fromCharCode(view.getUint8(at + k));
+            return str;
+        };
+        const readIfd = (offset, fn) => {
+            if (!offset || offset + 2 > view.byteLength) return;
+            const count = get16(offset);
+            for (let k = 0; k < count; k++) {
+                const entry = offset + 2 + k * 12;
+                if (entry + 12 > view.byteLength) return;
+                fn(get16(entry), entry);
+            }
+        };
+
+        const info = { orientation: 1, taken: null, hasGps: false };
+        let exifIfd = 0;
+        let dateTime = null;
+        readIfd(get32(4), (id, entry) => {
+            if (id === 0x0112) info.orientation = get16(entry + 8) || 1;
+            else if (id === 0x0132) dateTime = readAscii(entry);
+            else if (id === 0x8769) exifIfd = get32(entry + 8);
+            else if (id === 0x8825) info.hasGps = true;
+        });
+        readIfd(exifIfd, (id, entry) => {
+            if (id === 0x9003 && !info.taken) info.taken = parseExifDate(readAscii(entry));
+        });
+        if (!info.taken) info.taken = parseExifDate(dateTime);
+        if (info.orientation < 1 || info.orientation > 8) info.orientation = 1;
+        return info;
+    };
+
+    /**
+     * 读取 JPEG 的 EXIF 信息
+     * 返回 { orientation (1~8), taken (时间戳或 null), hasGps, hasExif }
+     */
+    const readExif = (bytes) => {
+        const info = { orientation: 1, taken: null, hasGps: false, hasExif: false };
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return info;
+        try {
+            eachSegment(bytes, (marker, start) => {
+                if (info.hasExif || !isExifSegment(bytes, marker, start)) return;
+                Object.assign(info, parseTiff(bytes, start + 10), { hasExif: true });
+            });
+        } catch (err) {
+            // 损坏的 EXIF 不影响导入
+            console.warn('EXIF parse failed', err);
+        }
+        return info;
+    };
+
+    // 只含方向字段的最小 TIFF 结构，清理后浏览器仍能正确摆正
+    const orientationTiff = (orientation) => [...ascii('MM'), 0, 42, ...u32(8), ...u16(1), ...u16(0x0112), ...u16(3), ...u32(1), ...u16(orientation), 0, 0, ...u32(0)];
+
+    const orientationSegment = (orientation) => {
+        const body = [...ascii(EXIF_HEADER), ...orientationTiff(orientation)];
+        return new Uint8Array([0xFF, 0xE1, ...u16(body.length + 2), ...body]);
+    };
+
+    // PNG / WebP 的 EXIF 块直接是 TIFF 数据，部分软件会多写一个 "Exif\0\0" 前缀
+    const chunkOrientation = (bytes) => {
+        try {
+            const base = String.fromCharCode(...bytes.subarray(0, 6)) === EXIF_HEADER ? 6 : 0;
+            return parseTiff(bytes, base).orientation;
+        } catch (err) {
+            return 1;
+        }
+    };
+
+    const isXmpText = (bytes, start) => String.fromCharCode(...bytes.subarray(start, start + 18)) === 'XML:com.adobe.xmp\0';
+
+    // PNG：移除 eXIf 与 XMP (iTXt)，eXIf 换成只含方向的版本
+    const stripPng = (bytes) => {
+        const parts = [bytes.subarray(0, 8)];
+        let changed = false;
+        let i = 8;
+        while (i + 8 <= bytes.length) {
+            const len = readU32(bytes, i);
+            const type = tag(bytes, i + 4);
+            const end = i + 12 + len;
+            if (type === 'eXIf') {
+                const orientation = chunkOrientation(bytes.subarray(i + 8, i + 8 + len));
+                if (orientation > 1) parts.push(pngChunk('eXIf', orientationTiff(orientation)));
+                changed = true;
+            } else if (type === 'iTXt' && isXmpText(bytes, i + 8)) {
+                changed = true;
+            } else {
+                parts.push(bytes.subarray(i, end));
+            }
+            i = end;
+        }
+        return changed ? concat(parts) : bytes;
+    };
+
+    // WebP：只有扩展格式 (VP8X) 能带 EXIF / XMP，移除后同步 VP8X 标记与 RIFF 长度
+    const stripWebp = (bytes) => {
+        if (tag(bytes, 12) !== 'VP8X') return bytes;
+        const vp8x = bytes.slice(12, 30);
+        const parts = [vp8x];
+        let changed = false;
+        let i = 30;
+        while (i + 8 <= bytes.length) {
+            const type = tag(bytes, i);
+            const len = (bytes[i + 4] | (bytes[i + 5] << 8) | (bytes[i + 6] << 16) | (bytes[i + 7] << 24)) >>> 0;
+            const end = Math.min(bytes.length, i + 8 + len + (len & 1));
+            if (type === 'EXIF' || type === 'XMP ') {
+                const orientation = type === 'EXIF' ? chunkOrientation(bytes.subarray(i + 8, i + 8 + len)) : 1;
+                if (orientation > 1) {
+                    const tiff = orientationTiff(orientation);
+                    parts.push(new Uint8Array([...ascii('EXIF'), ...u32le(tiff.length), ...tiff]));
+                }
+                changed = true;
+            } else {
+                parts.push(bytes.subarray(i, end));
+            }
+            i = end;
+        }
+        if (!changed) return bytes;
+        // 0x08 = EXIF，0x04 = XMP
+        vp8x[8] &= ~0x0C;
+        if (parts.some(p => p !== vp8x && tag(p, 0) === 'EXIF')) vp8x[8] |= 0x08;
+        const body = concat(parts);
+        return concat([new Uint8Array([...ascii('RIFF'), ...u32le(body.length + 4), ...ascii('WEBP')]), body]);
+    };
+
+    /**
+     * 移除 EXIF (含 GPS)、XMP 与 IPTC，保留方向
+     * JPEG 的方向由调用方传入；PNG / WebP 从自身的 EXIF 块读取
+     * 没有需要清理的内容或不支持的格式原样返回
+     */
+    const stripExif = (bytes, orientation) => {
+        if (tag(bytes, 0) === '\x89PNG') return stripPng(bytes);
+        if (tag(bytes, 0) === 'RIFF' && tag(bytes, 8) === 'WEBP') return stripWebp(bytes);
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return bytes;
+        const parts = [bytes.subarray(0, 2)];
+        let kept = false;
+        const end = eachSegment(bytes, (marker, start, segEnd) => {
+            // APP1 = EXIF / XMP，APP13 = Photoshop IPTC
+            if (marker === 0xE1 || marker === 0xED) {
+                if (!kept && orientation > 1 && isExifSegment(bytes, marker, start)) {
+                    parts.push(orientationSegment(orientation));
+                    kept = true;
+                }
+                return;
+            }
+            parts.push(bytes.subarray(start, segEnd));
+        });
+        parts.push(bytes.subarray(end));
+        return concat(parts);
+    };
+
+    /**
+     * 写入 sRGB 色彩空间与 DPI
+     * opts: { dpi, width, height }；AVIF 等不支持的格式原样返回
+     */
+    const write = async (blob, opts) => {
+        const writer = { 'image/png': writePng, 'image/jpeg': writeJpeg, 'image/webp': writeWebp }[blob.type];
+        if (!writer) return blob;
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        try {
+            return new Blob([writer(bytes, opts)], { type: blob.type });
+        } catch (err) {
+            // 结构异常时宁可不写元数据，也不输出损坏的文件
+            console.error('Metadata write failed', err);
+            return blob;
+        }
+    };
+
+    return {
+        write,
+        readExif,
+        stripExif,
+        getSrgbProfile
+    };
+})();
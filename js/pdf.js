@@ -0,0 +1,180 @@
+/**
+ * PDF 导出
+ * 纯前端生成，不依赖第三方库：每张拼图一页，JPEG 原样嵌入，其余格式解码后 Flate 压缩（含透明蒙版）
+ */
+
+const PdfWriter = (() => {
+    const PT_PER_MM = 72 / 25.4;
+
+    // 纸张尺寸 (pt，竖向)
+    const PAGE_SIZES = {
+        A4: [595.28, 841.89],
+        Letter: [612, 792]
+    };
+
+    const encoder = new TextEncoder();
+    const num = (v) => String(Math.round(v * 100) / 100);
+
+    const createCanvas = (w, h) => {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+        const cvs = document.createElement('canvas');
+        cvs.width = w; cvs.height = h;
+        return cvs;
+    };
+
+    // 从 SOF 段读取尺寸与通道数；DHT / JPG / DAC (C4 / C8 / CC) 不是 SOF
+    const jpegInfo = (bytes) => {
+        let i = 2;
+        while (i + 9 < bytes.length) {
+            if (bytes[i] !== 0xFF) { i++; continue; }
+            const marker = bytes[i + 1];
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[i + 5] << 8) | bytes[i + 6],
+                    width: (bytes[i + 7] << 8) | bytes[i + 8],
+                    components: bytes[i + 9]
+                };
+            }
+            if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { i += 2; continue; }
+            i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+        }
+        throw new Error('无法识别的 JPEG');
+    };
+
+    const COLOR_SPACES = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' };
+
+    const canDeflate = () => typeof CompressionStream !== 'undefined';
+
+    // CompressionStream 的 deflate 即 zlib 格式，正是 FlateDecode 需要的
+    const deflate = async (bytes) => {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    // 返回要写入的图片对象：{ width, height, filter, colorSpace, data, smask }
+    const prepareImage = async (blob) => {
+        if (blob.type === 'image/jpeg') {
+            const data = new Uint8Array(await blob.arrayBuffer());
+            const info = jpegInfo(data);
+            return { ...info, filter: '/DCTDecode', colorSpace: COLOR_SPACES[info.components] || '/DeviceRGB', data };
+        }
+
+        const bmp = await createImageBitmap(blob);
+        const { width, height } = bmp;
+        const cvs = createCanvas(width, height);
+        const ctx = cvs.getContext('2d');
+        try {
+            if (!canDeflate()) {
+                // 无法无损压缩时退回 JPEG，透明处铺白
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(0, 0, width, height);
+                ctx.drawImage(bmp, 0, 0);
+                const jpeg = cvs.convertToBlob
+                    ? await cvs.convertToBlob({ type: 'image/jpeg', quality: 0.92 })
+                    : await new Promise(r => cvs.toBlob(r, 'image/jpeg', 0.92));
+                return prepareImage(jpeg);
+            }
+            ctx.drawImage(bmp, 0, 0);
+            const px = ctx.getImageData(0, 0, width, height).data;
+            const rgb = new Uint8Array(width * height * 3);
+            const alpha = new Uint8Array(width * height);
+            let opaque = true;
+            for (let i = 0, j = 0, k = 0; i < px.length; i += 4, j += 3, k++) {
+                rgb[j] = px[i]; rgb[j + 1] = px[i + 1]; rgb[j + 2] = px[i + 2];
+                alpha[k] = px[i + 3];
+                if (px[i + 3] !== 255) opaque = false;
+            }
+            return {
+                width, height,
+                filter: '/FlateDecode',
+                colorSpace: '/DeviceRGB',
+                data: await deflate(rgb),
+                smask: opaque ? null : await deflate(alpha)
+            };
+        } finally {
+            bmp.close();
+            cvs.width = cvs.height = 0;
+        }
+    };
+
+    // 页面尺寸：纸张预设按方向翻转，fit 按图片尺寸与 DPI 换算后加边距
+    const pageSize = (img, opts, margin) => {
+        if (opts.page === 'fit') {
+            const k = 72 / (opts.dpi || 96);
+            return [img.width * k + margin * 2, img.height * k + margin * 2];
+        }
+        const [w, h] = PAGE_SIZES[opts.page] || PAGE_SIZES.A4;
+        const landscape = opts.orientation === 'landscape' || (opts.orientation === 'auto' && img.width > img.height);
+        return landscape ? [h, w] : [w, h];
+    };
+
+    /**
+     * blobs: 每张拼图一页
+     * opts: { page: 'A4' | 'Letter' | 'fit', orientation: 'auto' | 'portrait' | 'landscape', margin (mm), dpi (fit 时换算尺寸) }
+     * onProgress(done, total) -> 每写完一页回调
+     */
+    const create = async (blobs, opts, onProgress) => {
+        const parts = [];
+        const offsets = [];
+        let length = 0;
+        const push = (chunk) => {
+            const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+            parts.push(bytes);
+            length += bytes.length;
+        };
+        // 对象号从 1 开始；1 为 Catalog，2 为 Pages
+        let nextId = 3;
+        const writeObject = (id, body) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\nendobj\n`);
+        };
+        const writeStream = (id, dict, data) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n<< ${dict} /Length ${data.length} >>\nstream\n`);
+            push(data);
+            push('\nendstream\nendobj\n');
+        };
+
+        push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        const margin = Math.max(0, opts.margin || 0) * PT_PER_MM;
+        const kids = [];
+        for (let i = 0; i < blobs.length; i++) {
+            const img = await prepareImage(blobs[i]);
+            const imageId = nextId++;
+            let smaskId = null;
+            if (img.smask) {
+                smaskId = nextId++;
+                writeStream(smaskId, `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, img.smask);
+            }
+            writeStream(imageId, `/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace ${img.colorSpace} /BitsPerComponent 8 /Filter ${img.filter}${smaskId ? ` /SMask ${smaskId} 0 R` : ''}`, img.data);
+
+            // 图片在边距内等比缩放居中
+            const [pw, ph] = pageSize(img, opts, margin);
+            const k = Math.min((pw - margin * 2) / img.width, (ph - margin * 2) / img.height);
+            const dw = img.width * k, dh = img.height * k;
+            const content = encoder.encode(`q ${num(dw)} 0 0 ${num(dh)} ${num((pw - dw) / 2)} ${num((ph - dh) / 2)} cm /Im0 Do Q`);
+            const contentId = nextId++;
+            writeStream(contentId, '', content);
+
+            const pageId = nextId++;
+            writeObject(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pw)} ${num(ph)}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+            kids.push(`${pageId} 0 R`);
+            if (onProgress) await onProgress(i + 1, blobs.length);
+        }
+
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`);
+
+        const xref = length;
+        let table = `xref\n0 ${nextId}\n0000000000 65535 f \n`;
+        for (let id = 1; id < nextId; id++) table += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        push(table);
+        push(`trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+        return new Blob(parts, { type: 'application/pdf' });
+    };
+
+    return {
+        PAGE_SIZES,
+        create
+    };
+})();
@@ -0,0 +1,55 @@
+/**
+ * 拼图渲染 Worker
+ * 使用 OffscreenCanvas 在后台线程完成裁剪、序号和覆盖层绘制，主线程只负责调度与展示
+ */
+
+importScripts('render.js', 'meta.js');
+
+const canRender = () => {
+    try {
+        return typeof OffscreenCanvas !== 'undefined'
+            && typeof createImageBitmap === 'function'
+            && typeof OffscreenCanvas.prototype.convertToBlob === 'function'
+            && !!new OffscreenCanvas(1, 1).getContext('2d');
+    } catch (err) {
+        return false;
+    }
+};
+
+const render = async (job) => {
+    const canvas = new OffscreenCanvas(1, 1);
+    const overlays = await Renderer.loadOverlays(job.overlays);
+    const background = job.background ? await Renderer.decode(job.background) : null;
+    const stickers = await Renderer.loadStickers(job.stickers);
+    try {
+        await Renderer.renderBatch(canvas, job, {
+            load: (img) => Renderer.decode(img.blob, img.orientation),
+            progress: (done) => self.postMessage({ type: 'progress', index: job.index, done }),
+            isCancelled: () => false, // 取消由主线程 terminate() 实现
+            overlays,
+            background,
+            stickers
+        });
+        const { blob, quality, oversize } = await Renderer.encodeCanvas(canvas, job.opts);
+        self.postMessage({ type: 'done', index: job.index, blob, info: { width: canvas.width, height: canvas.height, quality, oversize } });
+    } finally {
+        Renderer.releaseOverlays(overlays);
+        if (background) background.close();
+        Renderer.releaseStickers(stickers);
+        // 清理显存
+        canvas.width = 1; canvas.height = 1;
+    }
+};
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+    if (msg.type === 'probe') {
+        self.postMessage({ type: 'probe', ok: canRender() });
+    } else if (msg.type === 'render') {
+        try {
+            await render(msg.job);
+        } catch (err) {
+            self.postMessage({ type: 'error', index: msg.job.index, message: err.message });
+        }
+    }
+};
@@ -0,0 +1,976 @@
+/**
+ * 拼图渲染核心
+ * 主线程与 Render Worker 共用：只依赖 Canvas 2D API，不读取 DOM
+ */
+
+const Renderer = (() => {
+    const BASE_CELL_W = 1500; // 基准宽度
+    const MAX_CANVAS_DIM = 8192; // 安全限制
+    const BAND_LINE = 2; // 页眉 / 页脚色带高度与字号之比
+
+    const createCanvas = (w, h) => {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+        const cvs = document.createElement('canvas');
+        cvs.width = w; cvs.height = h;
+        return cvs;
+    };
+
+    // EXIF 方向 2~8 对应的变换矩阵 (w / h 为原始像素尺寸)
+    const ORIENT_TRANSFORMS = {
+        2: (w, h) => [-1, 0, 0, 1, w, 0],
+        3: (w, h) => [-1, 0, 0, -1, w, h],
+        4: (w, h) => [1, 0, 0, -1, 0, h],
+        5: (w, h) => [0, 1, 1, 0, 0, 0],
+        6: (w, h) => [0, 1, -1, 0, h, 0],
+        7: (w, h) => [0, -1, -1, 0, h, w],
+        8: (w, h) => [0, -1, 1, 0, 0, w]
+    };
+
+    // 按 EXIF 方向解码为正向位图
+    // 不认识该选项的旧浏览器按导入时记录的 orientation 手动摆正
+    const decode = async (blob, orientation = 1) => {
+        try {
+            return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch (err) {
+            if (err.name !== 'TypeError') throw err;
+        }
+        const bmp = await createImageBitmap(blob);
+        const transform = ORIENT_TRANSFORMS[orientation];
+        if (!transform) return bmp;
+        const { width: w, height: h } = bmp;
+        const cvs = orientation > 4 ? createCanvas(h, w) : createCanvas(w, h);
+        try {
+            const ctx = cvs.getContext('2d');
+            ctx.setTransform(...transform(w, h));
+            ctx.drawImage(bmp, 0, 0);
+            return await createImageBitmap(cvs);
+        } finally {
+            bmp.close();
+            cvs.width = cvs.height = 0;
+        }
+    };
+
+    // --- 排版引擎 ---
+    // 模板：先放置跨格大图（span 为 [列, 行]），其余格子按阅读顺序填充
+    const TEMPLATES = {
+        'grid': [],
+        'hero-2x2': [[2, 2]],
+        'hero-1x2': [[1, 2]],
+        'hero-2x1': [[2, 1]]
+    };
+
+    const clampSpans = (spans, cols, rows) => spans.map(([sw, sh]) => [Math.min(sw, cols), Math.min(sh, rows)]);
+
+    // 每组容纳的图片数
+    const groupSize = (opts) => {
+        const { cols, rows, layout } = opts;
+        const spans = TEMPLATES[layout];
+        if (!spans) return cols * rows; // 等高行 / 瀑布流
+        const covered = clampSpans(spans, cols, rows).reduce((n, [sw, sh]) => n + sw * sh - 1, 0);
+        return Math.max(1, cols * rows - covered);
+    };
+
+    // 基准格子尺寸
+    const baseCell = (opts) => {
+        const { cols, gap, ratio } = opts;
+        let cellW = BASE_CELL_W;
+        // 防止画布过大崩溃
+        if (cols * cellW > MAX_CANVAS_DIM) cellW = Math.floor((MAX_CANVAS_DIM - (cols * gap)) / cols);
+        return { cellW, cellH: Math.floor(cellW / ratio) };
+    };
+
+    const aspectOf = (img, opts) => (img && img.width && img.height) ? img.width / img.height : opts.ratio;
+
+    const layoutTemplate = (images, opts) => {
+        const { cols, rows, gap } = opts;
+        const { cellW, cellH } = baseCell(opts);
+        const spans = clampSpans(TEMPLATES[opts.layout] || [], cols, rows);
+        const taken = [];
+        const isFree = (c, r, sw, sh) => {
+            if (c + sw > cols) return false;
+            for (let rr = r; rr < r + sh; rr++) {
+                for (let cc = c; cc < c + sw; cc++) if (taken[rr * cols + cc]) return false;
+            }
+            return true;
+        };
+        const cells = [];
+        let usedRows = 0;
+        let cursor = 0;
+        for (let i = 0; i < images.length; i++) {
+            const [sw, sh] = spans[i] || [1, 1];
+            while (!isFree(cursor % cols, Math.floor(cursor / cols), sw, sh)) cursor++;
+            const c = cursor % cols;
+            const r = Math.floor(cursor / cols);
+            for (let rr = r; rr < r + sh; rr++) {
+                for (let cc = c; cc < c + sw; cc++) taken[rr * cols + cc] = true;
+            }
+            cells.push({
+                x: c * (cellW + gap),
+                y: r * (cellH + gap),
+                w: sw * cellW + (sw - 1) * gap,
+                h: sh * cellH + (sh - 1) * gap
+            });
+            usedRows = Math.max(usedRows, r + sh);
+        }
+        return {
+            width: cols * cellW + (cols - 1) * gap,
+            height: usedRows * cellH + (usedRows - 1) * gap,
+            unit: cellW,
+            cells
+        };
+    };
+
+    // 等高行：每行按原图比例排开后缩放到整行宽度，最后一行不足时保持目标行高左对齐
+    const layoutJustified = (images, opts) => {
+        const { cols, gap } = opts;
+        const { cellW, cellH } = baseCell(opts);
+        const width = cols * cellW + (cols - 1) * gap;
+        const cells = [];
+        let y = 0;
+        let row = [];
+        const flush = (isLast) => {
+            const sum = row.reduce((n, a) => n + a, 0);
+            const avail = width - (row.length - 1) * gap;
+            const h = isLast && sum * cellH < avail ? cellH : Math.round(avail / sum);
+            let x = 0;
+            row.forEach((a, k) => {
+                // 满行的最后一格吃掉取整误差，保证右边缘对齐
+                const w = (k === row.length - 1 && !(isLast && h === cellH)) ? width - x : Math.round(a * h);
+                cells.push({ x, y, w, h });
+                x += w + gap;
+            });
+            y += h + gap;
+            row = [];
+        };
+        images.forEach((img) => {
+            row.push(aspectOf(img, opts));
+            const sum = row.reduce((n, a) => n + a, 0);
+            if (sum * cellH + (row.length - 1) * gap >= width) flush(false);
+        });
+        if (row.length) flush(true);
+        return { width, height: Math.max(0, y - gap), unit: cellW, cells };
+    };
+
+    // 瀑布流：等宽列，图片按原比例依次放入当前最短的列
+    const layoutMasonry = (images, opts) => {
+        const { cols, gap } = opts;
+        const { cellW } = baseCell(opts);
+        const heights = new Array(cols).fill(0);
+        const cells = images.map((img) => {
+            // 限制极端比例，避免超长条
+            const aspect = Math.min(3, Math.max(1 / 3, aspectOf(img, opts)));
+            const c = heights.indexOf(Math.min(...heights));
+            const h = Math.round(cellW / aspect);
+            const cell = { x: c * (cellW + gap), y: heights[c], w: cellW, h };
+            heights[c] += h + gap;
+            return cell;
+        });
+        return {
+            width: cols * cellW + (cols - 1) * gap,
+            height: Math.max(0, Math.max(...heights) - gap),
+            unit: cellW,
+            cells
+        };
+    };
+
+    // 纸张尺寸 (mm，竖向)
+    const PAPER_SIZES = {
+        A3: [297, 420],
+        A4: [210, 297],
+        A5: [148, 210],
+        Letter: [215.9, 279.4],
+        '6in': [101.6, 152.4]
+    };
+
+    // 纸张在给定 DPI 下的像素尺寸，方向跟随拼图横竖
+    const paperPixels = (paper, dpi, landscape) => {
+        const [w, h] = (PAPER_SIZES[paper] || PAPER_SIZES.A4).map(mm => Math.round(mm / 25.4 * dpi));
+        return landscape ? [h, w] : [w, h];
+    };
+
+    // 输出尺寸设置对应的缩放倍数：目标宽 / 目标高 / 放入纸张，允许放大
+    const outputScale = (layout, output) => {
+        if (!output) return 1;
+        if (output.mode === 'width' && output.width > 0) return output.width / layout.width;
+        if (output.mode === 'height' && output.height > 0) return output.height / layout.height;
+        if (output.mode === 'paper' && output.dpi > 0) {
+            const [pw, ph] = paperPixels(output.paper, output.dpi, layout.width > layout.height);
+            return Math.min(pw / layout.width, ph / layout.height);
+        }
+        return 1;
+    };
+
+    // 整体等比缩放，格子边缘按缩放后的坐标取整，保证拼缝对齐
+    const scaleLayout = (layout, k) => {
+        const s = (v) => Math.round(v * k);
+        return {
+            width: Math.max(1, s(layout.width)),
+            height: Math.max(1, s(layout.height)),
+            unit: layout.unit * k,
+            cells: layout.cells.map(c => ({ x: s(c.x), y: s(c.y), w: s(c.x + c.w) - s(c.x), h: s(c.y + c.h) - s(c.y) })),
+            bands: (layout.bands || []).map(b => ({ ...b, y: s(b.y), w: s(layout.width), h: s(b.y + b.h) - s(b.y), inset: b.inset * k }))
+        };
+    };
+
+    // 画布外边距：格子整体平移，画布四周各加 pad
+    const padLayout = (layout, pad) => pad > 0 ? {
+        ...layout,
+        width: layout.width + pad * 2,
+        height: layout.height + pad * 2,
+        cells: layout.cells.map(c => ({ ...c, x: c.x + pad, y: c.y + pad }))
+    } : layout;
+
+    // 页眉 / 页脚色带：贴在画布最上 / 最下，整行宽；文字与外边距对齐
+    const bandLayout = (layout, opts) => {
+        const conf = opts.bands;
+        if (!conf || (!conf.header.show && !conf.footer.show)) return layout;
+        const pad = opts.style ? opts.style.padding : 0;
+        const band = (kind, y) => {
+            const h = Math.round(conf[kind].size * BAND_LINE);
+            return { kind, x: 0, y, w: layout.width, h, inset: Math.max(pad, conf[kind].size * 0.6) };
+        };
+        const header = conf.header.show ? band('header', 0) : null;
+        const top = header ? header.h : 0;
+        const footer = conf.footer.show ? band('footer', layout.height + top) : null;
+        return {
+            ...layout,
+            height: layout.height + top + (footer ? footer.h : 0),
+            cells: layout.cells.map(c => ({ ...c, y: c.y + top })),
+            bands: [header, footer].filter(Boolean)
+        };
+    };
+
+    // images: [{ width, height }]，返回画布尺寸与每张图的格子
+    // 间距、字号、贴纸等都以 unit 为基准，随输出尺寸等比变化；px 为基准像素到输出像素的倍数
+    const layoutBatch = (images, opts) => {
+        let layout;
+        if (opts.layout === 'justified') layout = layoutJustified(images, opts);
+        else if (opts.layout === 'masonry') layout = layoutMasonry(images, opts);
+        else layout = layoutTemplate(images, opts);
+        layout = bandLayout(padLayout(layout, opts.style ? opts.style.padding : 0), opts);
+        // 超出安全尺寸时整体等比缩小
+        const k = Math.min(outputScale(layout, opts.output), MAX_CANVAS_DIM / layout.width, MAX_CANVAS_DIM / layout.height);
+        return { ...(k === 1 ? layout : scaleLayout(layout, k)), px: k };
+    };
+
+    // --- 编码 ---
+    const MIN_QUALITY = 0.1;
+    const QUALITY_STEPS = 7; // 二分次数，精度约 1%
+
+    const encodeOnce = async (canvas, mime, quality) => {
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type: mime, quality })
+            : await new Promise(r => canvas.toBlob(r, mime, quality));
+        if (!blob) throw new Error('图片编码失败，画布可能过大');
+        return blob;
+    };
+
+    // 按渲染参数编码画布；opts.meta 存在时写入 sRGB / DPI（需加载 meta.js）
+    // 有损格式设置了 maxBytes 时二分查找不超限的最高画质（含元数据体积）
+    // 返回 { blob, quality, oversize }，最低画质仍超限时 oversize 为 true
+    const encodeCanvas = async (canvas, opts) => {
+        const { mime, quality } = opts;
+        const maxBytes = opts.output.maxBytes;
+        const withMeta = opts.meta && typeof ImageMeta !== 'undefined';
+        const encode = async (q) => {
+            const blob = await encodeOnce(canvas, mime, q);
+            return withMeta ? ImageMeta.write(blob, { dpi: opts.meta.dpi, width: canvas.width, height: canvas.height }) : blob;
+        };
+        const blob = await encode(quality);
+        if (!maxBytes || mime === 'image/png' || blob.size <= maxBytes) return { blob, quality, oversize: false };
+        let lo = MIN_QUALITY, hi = quality, best = null;
+        for (let i = 0; i < QUALITY_STEPS; i++) {
+            const q = (lo + hi) / 2;
+            const b = await encode(q);
+            if (b.size <= maxBytes) { best = { blob: b, quality: q, oversize: false }; lo = q; }
+            else hi = q;
+        }
+        if (best) return best;
+        const smallest = await encode(MIN_QUALITY);
+        return { blob: smallest, quality: MIN_QUALITY, oversize: smallest.size > maxBytes };
+    };
+
+    // --- 单张调整 (旋转 / 翻转 / 调色) ---
+    // adjust: { rotate: 0|90|180|270, flipH, flipV, brightness, contrast, saturation, temperature (-100~100), levels: { lo:[r,g,b], hi:[r,g,b] } }
+    const hasGeometry = (a) => !!a && !!(a.rotate || a.flipH || a.flipV);
+    const hasColor = (a) => !!a && !!(a.brightness || a.contrast || a.saturation || a.temperature || a.levels);
+
+    // 亮度 / 对比度 / 色温 / 色阶都是逐通道映射，合成为三张查找表
+    const buildLuts = (a) => [0, 1, 2].map((c) => {
+        const lut = new Uint8ClampedArray(256);
+        const t = (a.temperature || 0) / 100;
+        for (let v = 0; v < 256; v++) {
+            let x = v;
+            if (a.levels) x = (x - a.levels.lo[c]) * 255 / Math.max(1, a.levels.hi[c] - a.levels.lo[c]);
+            x *= 1 + (a.brightness || 0) / 100;
+            x = (x - 128) * (1 + (a.contrast || 0) / 100) + 128;
+            // 暖色加红减蓝，冷色相反
+            if (c === 0) x *= 1 + t * 0.15;
+            if (c === 2) x *= 1 - t * 0.15;
+            lut[v] = x;
+        }
+        return lut;
+    });
+
+    const applyColor = (px, a) => {
+        const [lr, lg, lb] = buildLuts(a);
+        const sat = 1 + (a.saturation || 0) / 100;
+        for (let i = 0; i < px.length; i += 4) {
+            let r = lr[px[i]], g = lg[px[i + 1]], b = lb[px[i + 2]];
+            if (sat !== 1) {
+                const l = 0.299 * r + 0.587 * g + 0.114 * b;
+                r = l + (r - l) * sat;
+                g = l + (g - l) * sat;
+                b = l + (b - l) * sat;
+            }
+            px[i] = r; px[i + 1] = g; px[i + 2] = b; // Uint8ClampedArray 自动截断
+        }
+    };
+
+    // 返回调整后的画布；没有调整时原样返回 src
+    // 先翻转再旋转的视觉效果：翻转以旋转后的方向为准
+    const adjustSource = (src, a) => {
+        if (!hasGeometry(a) && !hasColor(a)) return src;
+        const rotate = ((a.rotate || 0) % 360 + 360) % 360;
+        const turned = rotate % 180 !== 0;
+        const w = turned ? src.height : src.width;
+        const h = turned ? src.width : src.height;
+        const cvs = createCanvas(w, h);
+        const ctx = cvs.getContext('2d');
+        ctx.translate(w / 2, h / 2);
+        ctx.scale(a.flipH ? -1 : 1, a.flipV ? -1 : 1);
+        ctx.rotate(rotate * Math.PI / 180);
+        ctx.drawImage(src, -src.width / 2, -src.height / 2);
+        if (hasColor(a)) {
+            const data = ctx.getImageData(0, 0, w, h);
+            applyColor(data.data, a);
+            ctx.putImageData(data, 0, 0);
+        }
+        return cvs;
+    };
+
+    // 自动色阶：在缩小图上统计各通道直方图，两端各裁掉 0.5%
+    const measureLevels = (src) => {
+        const k = Math.min(1, 256 / Math.max(src.width, src.height));
+        const cvs = createCanvas(Math.max(1, Math.round(src.width * k)), Math.max(1, Math.round(src.height * k)));
+        const ctx = cvs.getContext('2d');
+        ctx.drawImage(src, 0, 0, cvs.width, cvs.height);
+        const px = ctx.getImageData(0, 0, cvs.width, cvs.height).data;
+        const hist = [0, 1, 2].map(() => new Uint32Array(256));
+        for (let i = 0; i < px.length; i += 4) {
+            hist[0][px[i]]++; hist[1][px[i + 1]]++; hist[2][px[i + 2]]++;
+        }
+        const clip = (px.length / 4) * 0.005;
+        const lo = [], hi = [];
+        hist.forEach((hst, c) => {
+            let sum = 0, v = 0;
+            while (v < 255 && (sum += hst[v]) <= clip) v++;
+            lo[c] = v;
+            sum = 0; v = 255;
+            while (v > 0 && (sum += hst[v]) <= clip) v--;
+            hi[c] = Math.max(v, lo[c] + 1);
+        });
+        return { lo, hi };
+    };
+
+    // 渲染用尺寸：旋转 90/270 度时宽高互换
+    const adjustedSize = (width, height, a) => (a && (a.rotate || 0) % 180 !== 0)
+        ? { width: height, height: width }
+        : { width, height };
+
+    // --- 单元格绘制 ---
+    // cover 模式下原图在格子中的绘制矩形
+    // crop.x / crop.y 为焦点在原图中的相对位置 (0~1)，crop.zoom >= 1 为额外放大倍数
+    const coverRect = (srcW, srcH, cell, crop) => {
+        const { x, y, w, h } = cell;
+        const fx = crop ? crop.x : 0.5;
+        const fy = crop ? crop.y : 0.5;
+        const zoom = crop ? Math.max(1, crop.zoom) : 1;
+        const scale = Math.max(w / srcW, h / srcH) * zoom;
+        const dw = srcW * scale;
+        const dh = srcH * scale;
+        // 焦点尽量落在格子中心，同时保证图片铺满格子
+        const dx = Math.min(x, Math.max(x + w - dw, x + w / 2 - fx * dw));
+        const dy = Math.min(y, Math.max(y + h - dh, y + h / 2 - fy * dh));
+        return { x: dx, y: dy, w: dw, h: dh };
+    };
+
+    // 按焦点裁剪绘制，未设置焦点时即居中裁剪
+    const drawCover = (ctx, src, cell, crop) => {
+        const { x, y, w, h } = cell;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+        const r = coverRect(src.width, src.height, cell, crop);
+        ctx.drawImage(src, r.x, r.y, r.w, r.h);
+        ctx.restore();
+    };
+
+    // contain 模式：完整显示原图，留白按 fit.fill 填充
+    const drawContain = (ctx, src, cell, fit) => {
+        const { x, y, w, h } = cell;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+
+        if (fit.fill === 'color') {
+            ctx.fillStyle = fit.color;
+            ctx.fillRect(x, y, w, h);
+        } else if (fit.fill === 'blur') {
+            drawBlurredBackdrop(ctx, src, cell);
+        }
+        // 透明：不填充，由 renderBatch 决定是否保留透明底
+
+        const scale = Math.min(w / src.width, h / src.height);
+        const dw = src.width * scale;
+        const dh = src.height * scale;
+        ctx.drawImage(src, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+        ctx.restore();
+    };
+
+    // 同图放大模糊作为背景；不支持 ctx.filter 时（Safari）用缩小再放大近似
+    const drawBlurredBackdrop = (ctx, src, cell) => {
+        const { w, h } = cell;
+        if ('filter' in ctx) {
+            ctx.save();
+            // filter 的模糊半径不受 ctx.scale 影响，按当前缩放换算，预览与导出观感一致
+            const k = ctx.getTransform ? ctx.getTransform().a : 1;
+            ctx.filter = `blur(${Math.max(1, Math.round(Math.max(w, h) / 30 * k))}px)`;
+            // 放大一点，避免模糊后边缘透出底色
+            const r = coverRect(src.width, src.height, cell, { x: 0.5, y: 0.5, zoom: 1.1 });
+            ctx.drawImage(src, r.x, r.y, r.w, r.h);
+            ctx.restore();
+        } else {
+            const sw = Math.max(1, Math.round(w / 32));
+            const sh = Math.max(1, Math.round(h / 32));
+            const small = createCanvas(sw, sh);
+            const sctx = small.getContext('2d');
+            const r = coverRect(src.width, src.height, { x: 0, y: 0, w: sw, h: sh });
+            sctx.drawImage(src, r.x, r.y, r.w, r.h);
+            ctx.save();
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(small, cell.x, cell.y, w, h);
+            ctx.restore();
+        }
+        // 压暗背景，突出主体
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.fillRect(cell.x, cell.y, w, h);
+        ctx.restore();
+    };
+
+    // 绘制错误占位符
+    const drawPlaceholder = (ctx, cell) => {
+        const { x, y, w, h } = cell;
+        ctx.save();
+        ctx.fillStyle = '#eee';
+        ctx.fillRect(x, y, w, h);
+        ctx.fillStyle = 'red';
+        ctx.font = '40px sans-serif';
+        ctx.fillText('❌', x + w / 2 - 20, y + h / 2);
+        ctx.restore();
+    };
+
+    // --- 序号标签 ---
+    const ROMAN = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+        [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+    const toRoman = (n) => {
+        if (n < 1 || n > 3999) return String(n);
+        let out = '';
+        ROMAN.forEach(([v, sym]) => { while (n >= v) { out += sym; n -= v; } });
+        return out;
+    };
+
+    // 1 -> a, 26 -> z, 27 -> aa
+    const toLetters = (n) => {
+        if (n < 1) return String(n);
+        let out = '';
+        while (n > 0) {
+            n--;
+            out = String.fromCharCode(97 + (n % 26)) + out;
+            n = Math.floor(n / 26);
+        }
+        return out;
+    };
+
+    /**
+     * 标签模板：{n} 数字、{n:3} 补零到 3 位、{a}/{A} 字母、{r}/{R} 罗马数字、
+     * {g} 组号、{i} 组内序号；其余文字原样输出，如 "No.{n:3}"
+     * vars: { n, g, i }
+     */
+    const formatLabel = (template, vars) => {
+        return String(template || '{n}').replace(/\{([nagirAR])(?::(\d+))?\}/g, (m, key, pad) => {
+            let out;
+            switch (key) {
+                case 'n': out = String(vars.n); break;
+                case 'g': out = String(vars.g); break;
+                case 'i': out = String(vars.i); break;
+                case 'a': out = toLetters(vars.n); break;
+                case 'A': out = toLetters(vars.n).toUpperCase(); break;
+                case 'r': out = toRoman(vars.n).toLowerCase(); break;
+                case 'R': out = toRoman(vars.n); break;
+            }
+            return pad ? out.padStart(parseInt(pad), '0') : out;
+        });
+    };
+
+    // 第 index 张（全局下标）的标签变量，restart 时每组从起始值重新计数
+    const labelVars = (font, groupIndex, indexInGroup, globalIndex) => ({
+        n: font.start + (font.restart ? indexInGroup : globalIndex),
+        g: groupIndex + 1,
+        i: indexInGroup + 1
+    });
+
+    const roundRect = (ctx, x, y, w, h, r) => {
+        r = Math.min(r, w / 2, h / 2);
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + w, y, x + w, y + h, r);
+        ctx.arcTo(x + w, y + h, x, y + h, r);
+        ctx.arcTo(x, y + h, x, y, r);
+        ctx.arcTo(x, y, x + w, y, r);
+        ctx.closePath();
+    };
+
+    // unit 为基准格宽，保证跨格大图和等高行里的序号大小一致
+    const drawNumber = (ctx, text, cell, font, unit) => {
+        if (!font.show || text === '') return;
+        const { x, y, w, h } = cell;
+
+        // 动态计算字体大小 (基于宽度)
+        const baseSize = 350; // 原基准
+        const scale = unit / BASE_CELL_W; // 缩放比例
+        const fontSize = baseSize * scale;
+
+        ctx.save();
+        ctx.font = `${font.weight} ${fontSize}px ${font.family}`;
+        ctx.globalAlpha = font.opacity;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // 先确定标签（含底牌）的外框，再按位置摆放
+        const textW = ctx.measureText(text).width;
+        let boxW = textW, boxH = fontSize;
+        if (font.badge === 'circle') {
+            boxW = boxH = Math.max(textW, fontSize) + fontSize * 0.5;
+        } else if (font.badge === 'rounded') {
+            boxW = textW + fontSize * 0.6;
+            boxH = fontSize * 1.3;
+        }
+
+        const pos = font.pos;
+        const pad = 40 * scale;
+        let bx = x + (w - boxW) / 2, by = y + (h - boxH) / 2;
+        if (pos.includes('bottom')) by = y + h - pad - boxH;
+        else if (pos.includes('top')) by = y + pad;
+        if (pos.includes('left')) bx = x + pad;
+        else if (pos.includes('right')) bx = x + w - pad - boxW;
+        const tx = bx + boxW / 2, ty = by + boxH / 2;
+
+        if (font.badge === 'circle') {
+            ctx.fillStyle = font.badgeColor;
+            ctx.beginPath();
+            ctx.arc(tx, ty, boxW / 2, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (font.badge === 'rounded') {
+            ctx.fillStyle = font.badgeColor;
+            roundRect(ctx, bx, by, boxW, boxH, fontSize * 0.3);
+            ctx.fill();
+        }
+
+        // 描边
+        if (font.stroke) {
+            ctx.strokeStyle = font.strokeColor;
+            ctx.lineWidth = fontSize * 0.05;
+            ctx.lineJoin = 'round';
+            ctx.strokeText(text, tx, ty);
+        }
+
+        ctx.fillStyle = font.color;
+        ctx.fillText(text, tx, ty);
+        ctx.restore();
+    };
+
+    // 图片说明：格子底部半透明条，序号在底部时改放顶部，超长省略
+    const drawCaption = (ctx, text, cell, font, unit) => {
+        if (!text) return;
+        const { x, y, w, h } = cell;
+        const fontSize = unit * 0.08;
+        const bandH = fontSize * 1.8;
+        const top = font.show && font.pos.includes('bottom');
+        const by = top ? y : y + h - bandH;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.fillRect(x, by, w, bandH);
+        ctx.font = `500 ${fontSize}px ${font.family}`;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const maxW = w - fontSize;
+        let label = text;
+        if (ctx.measureText(label).width > maxW) {
+            while (label.length > 1 && ctx.measureText(label + '…').width > maxW) label = label.slice(0, -1);
+            label += '…';
+        }
+        ctx.fillText(label, x + w / 2, by + bandH / 2);
+        ctx.restore();
+    };
+
+    // --- 贴纸与文字水印 ---
+    // 图片贴纸解码一次，整批复用
+    const loadStickers = async (stickers) => {
+        const list = [];
+        for (const st of stickers || []) {
+            if (st.type !== 'image') { list.push({ ...st, src: null }); continue; }
+            try {
+                list.push({ ...st, src: await createImageBitmap(st.blob) });
+            } catch (err) {
+                console.error('Sticker decode failed', err);
+            }
+        }
+        return list;
+    };
+
+    const releaseStickers = (list) => {
+        list.forEach(st => { if (st.src && st.src.close) st.src.close(); });
+    };
+
+    // 贴纸尺寸：scale 为占目标区域宽度的比例；文字按同样宽度反推字号
+    const measureSticker = (ctx, st, area, family) => {
+        const w = area.w * st.scale;
+        if (st.type === 'image') return { w, h: w * st.src.height / st.src.width };
+        ctx.font = `bold 100px ${family}`;
+        const fontSize = 100 * w / Math.max(1, ctx.measureText(st.text).width);
+        return { w, h: fontSize * 1.2, fontSize };
+    };
+
+    const paintSticker = (ctx, st, size, cx, cy, family) => {
+        ctx.save();
+        ctx.translate(cx, cy);
+        ctx.rotate(st.rotation * Math.PI / 180);
+        if (st.type === 'image') {
+            ctx.drawImage(st.src, -size.w / 2, -size.h / 2, size.w, size.h);
+        } else {
+            ctx.font = `bold ${size.fontSize}px ${family}`;
+            ctx.fillStyle = st.color;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(st.text, 0, 0);
+        }
+        ctx.restore();
+    };
+
+    // area 为整张画布或单个格子；位置预设与序号的 fontPos 一致
+    const drawStickers = (ctx, stickers, area, family) => {
+        stickers.forEach(st => {
+            if (st.type === 'image' && !st.src) return;
+            if (st.type === 'text' && !st.text) return;
+            const size = measureSticker(ctx, st, area, family);
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.x, area.y, area.w, area.h);
+            ctx.clip();
+            ctx.globalAlpha = st.opacity;
+
+            if (st.tile) {
+                // 平铺：错行排列，间距为贴纸尺寸的一半
+                const stepX = size.w * 1.5;
+                const stepY = size.h * 2;
+                let row = 0;
+                for (let y = area.y; y < area.y + area.h + stepY; y += stepY, row++) {
+                    const offset = row % 2 ? stepX / 2 : 0;
+                    for (let x = area.x - stepX + offset; x < area.x + area.w + stepX; x += stepX) {
+                        paintSticker(ctx, st, size, x, y, family);
+                    }
+                }
+            } else {
+                const pad = area.w * 0.03;
+                let cx = area.x + area.w / 2, cy = area.y + area.h / 2;
+                if (st.pos.includes('bottom')) cy = area.y + area.h - pad - size.h / 2;
+                else if (st.pos.includes('top')) cy = area.y + pad + size.h / 2;
+                if (st.pos.includes('left')) cx = area.x + pad + size.w / 2;
+                else if (st.pos.includes('right')) cx = area.x + area.w - pad - size.w / 2;
+                paintSticker(ctx, st, size, cx, cy, family);
+            }
+            ctx.restore();
+        });
+    };
+
+    // --- 画布样式：背景、圆角、描边、阴影 ---
+    const withAlpha = (hex, alpha) => {
+        const n = parseInt(String(hex).replace('#', ''), 16) || 0;
+        return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+    };
+
+    // 纯色 / 线性渐变（角度同 CSS：0deg 自下而上，90deg 自左向右）/ 背景图铺满
+    const drawBackground = (ctx, style, image, width, height) => {
+        const bg = style ? style.background : null;
+        ctx.save();
+        if (bg && bg.type === 'gradient') {
+            const rad = (bg.angle || 0) * Math.PI / 180;
+            const dx = Math.sin(rad), dy = -Math.cos(rad);
+            const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+            const g = ctx.createLinearGradient(width / 2 - dx * half, height / 2 - dy * half, width / 2 + dx * half, height / 2 + dy * half);
+            g.addColorStop(0, bg.color);
+            g.addColorStop(1, bg.color2);
+            ctx.fillStyle = g;
+        } else {
+            ctx.fillStyle = bg ? bg.color : '#FFFFFF';
+        }
+        ctx.fillRect(0, 0, width, height);
+        if (bg && bg.type === 'image' && image) {
+            const r = coverRect(image.width, image.height, { x: 0, y: 0, w: width, h: height });
+            ctx.drawImage(image, r.x, r.y, r.w, r.h);
+        }
+        ctx.restore();
+    };
+
+    // 样式中的尺寸以基准像素填写，随输出缩放
+    const cellFrame = (style, px) => ({
+        radius: style ? style.radius * px : 0,
+        border: style && style.border.width > 0 ? { width: style.border.width * px, color: style.border.color } : null,
+        shadow: style && style.shadow.size > 0 ? { size: style.shadow.size * px, color: withAlpha(style.shadow.color, style.shadow.opacity) } : null
+    });
+
+    // 阴影由格子形状投下，图片随后盖住形状本身
+    const drawCellShadow = (ctx, cell, frame) => {
+        // shadowBlur / offset 不受 ctx.scale 影响，按当前缩放换算
+        const k = ctx.getTransform ? ctx.getTransform().a : 1;
+        ctx.save();
+        ctx.shadowColor = frame.shadow.color;
+        ctx.shadowBlur = frame.shadow.size * k;
+        ctx.shadowOffsetY = frame.shadow.size / 3 * k;
+        ctx.fillStyle = '#FFFFFF';
+        roundRect(ctx, cell.x, cell.y, cell.w, cell.h, frame.radius);
+        ctx.fill();
+        ctx.restore();
+    };
+
+    // 描边画在格子内侧，不改变排版尺寸
+    const drawCellBorder = (ctx, cell, frame) => {
+        const b = Math.min(frame.border.width, cell.w / 2, cell.h / 2);
+        ctx.save();
+        ctx.lineWidth = b;
+        ctx.strokeStyle = frame.border.color;
+        roundRect(ctx, cell.x + b / 2, cell.y + b / 2, cell.w - b, cell.h - b, Math.max(0, frame.radius - b / 2));
+        ctx.stroke();
+        ctx.restore();
+    };
+
+    // --- 页眉 / 页脚 ---
+    // 模板变量：{group} 组号、{total} 总组数、{date} 日期、{range} 本组首末图片序号
+    const formatBand = (template, vars) => String(template || '')
+        .replace(/\{(group|total|date|range)\}/g, (m, key) => String(vars[key]));
+
+    const drawBand = (ctx, band, text, conf) => {
+        const { x, y, w, h, inset } = band;
+        ctx.save();
+        if (conf.fill) {
+            ctx.fillStyle = conf.bg;
+            ctx.fillRect(x, y, w, h);
+        }
+        if (text) {
+            const fontSize = h / BAND_LINE;
+            const align = conf[band.kind].align;
+            ctx.font = `${band.kind === 'header' ? 'bold' : 'normal'} ${fontSize}px ${conf.family}`;
+            ctx.fillStyle = conf.color;
+            ctx.textAlign = align;
+            ctx.textBaseline = 'middle';
+            const maxW = w - inset * 2;
+            let label = text;
+            if (ctx.measureText(label).width > maxW) {
+                while (label.length > 1 && ctx.measureText(label + '…').width > maxW) label = label.slice(0, -1);
+                label += '…';
+            }
+            const tx = align === 'left' ? x + inset : align === 'right' ? x + w - inset : x + w / 2;
+            ctx.fillText(label, tx, y + h / 2);
+        }
+        ctx.restore();
+    };
+
+    // --- 覆盖层 ---
+    // groups 为空表示所有组，否则为 "1,3-5" 形式的组号列表（从 1 开始）
+    const inGroups = (groups, group) => {
+        const text = String(groups || '').trim();
+        if (!text) return true;
+        return text.split(/[,，\s]+/).some(part => {
+            const m = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!m) return false;
+            const lo = parseInt(m[1]), hi = m[2] ? parseInt(m[2]) : lo;
+            return group >= Math.min(lo, hi) && group <= Math.max(lo, hi);
+        });
+    };
+
+    // 覆盖层解码一次，整批复用
+    const loadOverlays = async (overlays) => {
+        const list = [];
+        for (const ov of overlays || []) {
+            try {
+                list.push({ ...ov, src: await createImageBitmap(ov.blob) });
+            } catch (err) {
+                console.error('Overlay decode failed', err);
+            }
+        }
+        return list;
+    };
+
+    const releaseOverlays = (list) => {
+        list.forEach(ov => { if (ov.src && ov.src.close) ov.src.close(); });
+    };
+
+    // fit：stretch 拉伸铺满、contain 完整居中、cover 裁剪铺满、tile 按原尺寸平铺（随输出缩放）
+    const drawOverlays = (ctx, overlays, area, px) => {
+        overlays.forEach(ov => {
+            const { src } = ov;
+            const { x, y, w, h } = area;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(x, y, w, h);
+            ctx.clip();
+            ctx.globalAlpha = ov.opacity;
+            ctx.globalCompositeOperation = ov.mode;
+            if (ov.fit === 'contain') {
+                const k = Math.min(w / src.width, h / src.height);
+                ctx.drawImage(src, x + (w - src.width * k) / 2, y + (h - src.height * k) / 2, src.width * k, src.height * k);
+            } else if (ov.fit === 'cover') {
+                const r = coverRect(src.width, src.height, area);
+                ctx.drawImage(src, r.x, r.y, r.w, r.h);
+            } else if (ov.fit === 'tile') {
+                // 过小的图块会画出海量次，限制最小尺寸
+                const tw = Math.max(w / 200, src.width * px);
+                const th = tw * src.height / src.width;
+                for (let ty = y; ty < y + h; ty += th) {
+                    for (let tx = x; tx < x + w; tx += tw) ctx.drawImage(src, tx, ty, tw, th);
+                }
+            } else {
+                ctx.drawImage(src, x, y, w, h);
+            }
+            ctx.restore();
+        });
+    };
+
+    /**
+     * 渲染一组拼图到 canvas
+     * hooks.load(image)      -> Promise<ImageBitmap|HTMLImageElement>，逐张加载，画完即释放
+     * hooks.release(src)     -> 可选，自定义释放（预览复用缩略图时传空函数）
+     * images[i].adjust       -> 可选，单张旋转 / 翻转 / 调色，在裁剪前应用
+     * hooks.progress(done)   -> 每画完一张回调，可返回 Promise 以让出线程
+     * hooks.isCancelled()    -> 为 true 时中断并抛出 Cancelled
+     * hooks.overlays         -> loadOverlays() 的结果，按 groups 筛选出本组使用的，可为空
+     * hooks.background       -> 已解码的背景图（opts.style.background.type 为 image 时使用），可为空
+     * hooks.stickers         -> loadStickers() 的结果，可为空
+     * job.scale              -> 可选，按比例缩小输出（实时预览），布局与绘制逻辑不变
+     * job.total              -> 总组数，供页眉 / 页脚的 {total} 使用
+     */
+    const renderBatch = async (canvas, job, hooks) => {
+        const { opts, images } = job;
+        const layout = layoutBatch(images, opts);
+        const scale = job.scale || 1;
+        canvas.width = Math.max(1, Math.round(layout.width * scale));
+        canvas.height = Math.max(1, Math.round(layout.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        const release = hooks.release || (src => { if (src && src.close) src.close(); });
+
+        // 透明留白只对支持透明的格式有意义，JPG 仍铺白底（否则透明处会变黑）
+        const keepAlpha = opts.fit.mode === 'contain' && opts.fit.fill === 'transparent' && opts.mime !== 'image/jpeg';
+        if (!keepAlpha) drawBackground(ctx, opts.style, hooks.background, layout.width, layout.height);
+        const frame = cellFrame(opts.style, layout.px);
+        if (layout.bands && layout.bands.length) {
+            const first = labelVars(opts.font, job.index, 0, job.startIndex).n;
+            const last = labelVars(opts.font, job.index, images.length - 1, job.startIndex + images.length - 1).n;
+            const vars = {
+                group: job.index + 1,
+                total: job.total || job.index + 1,
+                date: opts.bands.date,
+                range: first === last ? first : `${first}-${last}`
+            };
+            layout.bands.forEach(band => drawBand(ctx, band, formatBand(opts.bands[band.kind].text, vars), opts.bands));
+        }
+        const draw = opts.fit.mode === 'contain'
+            ? (src, cell) => drawContain(ctx, src, cell, opts.fit)
+            : (src, cell, crop) => drawCover(ctx, src, cell, crop);
+        const stickers = hooks.stickers || [];
+        const cellStickers = stickers.filter(st => st.scope === 'cell');
+        const canvasStickers = stickers.filter(st => st.scope !== 'cell');
+        const overlays = (hooks.overlays || []).filter(ov => inGroups(ov.groups, job.index + 1));
+        const cellOverlays = overlays.filter(ov => ov.scope === 'cell');
+        const canvasOverlays = overlays.filter(ov => ov.scope !== 'cell');
+
+        for (let i = 0; i < images.length; i++) {
+            if (hooks.isCancelled()) throw new Error('Cancelled');
+            const cell = layout.cells[i];
+            let src = null;
+            let adjusted = null;
+            // 透明留白时阴影会从空白处透出，不画
+            if (frame.shadow && !keepAlpha) drawCellShadow(ctx, cell, frame);
+            ctx.save();
+            if (frame.radius > 0) {
+                roundRect(ctx, cell.x, cell.y, cell.w, cell.h, frame.radius);
+                ctx.clip();
+            }
+            try {
+                src = await hooks.load(images[i]);
+                adjusted = adjustSource(src, images[i].adjust);
+                draw(adjusted, cell, images[i].crop);
+            } catch (err) {
+                console.error('Image decode failed', err);
+                drawPlaceholder(ctx, cell);
+            } finally {
+                // 立即释放内存
+                if (adjusted && adjusted !== src) adjusted.width = adjusted.height = 0;
+                release(src);
+            }
+            // 格子覆盖层与图片共用圆角裁剪
+            if (cellOverlays.length) drawOverlays(ctx, cellOverlays, cell, layout.px);
+            ctx.restore();
+            if (frame.border) drawCellBorder(ctx, cell, frame);
+
+            if (cellStickers.length) drawStickers(ctx, cellStickers, cell, opts.font.family);
+            drawCaption(ctx, images[i].caption, cell, opts.font, layout.unit);
+            const vars = labelVars(opts.font, job.index, i, job.startIndex + i);
+            drawNumber(ctx, formatLabel(opts.font.format, vars), cell, opts.font, layout.unit);
+            await hooks.progress(i + 1);
+        }
+
+        if (canvasOverlays.length) drawOverlays(ctx, canvasOverlays, { x: 0, y: 0, w: layout.width, h: layout.height }, layout.px);
+        if (canvasStickers.length) {
+            drawStickers(ctx, canvasStickers, { x: 0, y: 0, w: layout.width, h: layout.height }, opts.font.family);
+        }
+        return layout;
+    };
+
+    return {
+        MAX_CANVAS_DIM,
+        PAPER_SIZES,
+        decode,
+        createCanvas,
+        adjustSource,
+        adjustedSize,
+        measureLevels,
+        hasGeometry,
+        groupSize,
+        layoutBatch,
+        encodeCanvas,
+        toBlob: encodeOnce,
+        coverRect,
+        formatLabel,
+        formatBand,
+        labelVars,
+        drawNumber,
+        loadStickers,
+        releaseStickers,
+        loadOverlays,
+        releaseOverlays,
+        inGroups,
+        renderBatch
+    };
+})();
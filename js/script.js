@@ -6,21 +6,69 @@
 const App = (() => {
     // 状态管理
     const state = {
-        images: [], // { id, url(blobUrl), name, blob }
+        images: [], // { id, name, blob, ... }，网格只用缩略图 URL
+        thumbUrls: new Map(), // 图片 id -> 缩略图 blob URL
+        gridTiles: new Map(), // 图片 id -> 已挂载的网格节点
+        gridStart: 0, // 当前挂载窗口在列表中的起始下标
+        gridDragging: false,
         settings: {},
         generatedBlobs: [],
-        overlayImg: null,
+        overlays: [], // 覆盖层记录（assets 中 kind 为 overlay）
+        overlayUrls: new Map(),
+        activeOverlayId: null,
+        previewOverlays: new Map(),
+        background: null, // 当前相册的背景图记录 { id, name, blob }
+        backgroundImg: null, // 解码后的背景图，预览与主线程渲染共用
         targetIndex: -1,
         isCancelled: false,
         db: null,
-        sortable: null
+        sortable: null,
+        cropSession: null, // 裁剪编辑器当前会话
+        adjustSession: null, // 色彩调整面板当前会话
+        stickers: [], // 贴纸与文字水印记录
+        stickerUrls: new Map(),
+        activeStickerId: null,
+        selectMode: false,
+        selected: new Set(), // 多选中的图片 id
+        previewThumbs: new Map(), // 实时预览缩略图缓存 key -> ImageBitmap/Canvas
+        previewStickers: new Map(),
+        pendingProject: null, // 待确认导入的工程 { zip, manifest }
+        pendingImport: null, // 因写入失败而暂停、可继续导入的文件
+        albums: [],
+        albumId: null // 当前相册，所有图片/贴纸读写都限定在该相册内
     };
 
     // 常量
     const DB_NAME = 'PuzzleUltimateDB';
-    const DB_VERSION = 1;
+    const DB_VERSION = 6;
     const SETTINGS_KEY = 'puzzle_settings_v4';
-    const MAX_CANVAS_DIM = 8192; // 安全限制
+    const PRESETS_KEY = 'puzzle_presets_v1';
+    const ALBUM_KEY = 'puzzle_current_album';
+    const DEFAULT_ALBUM_ID = 1;
+    const WORKER_URL = 'render-worker.js';
+    const MAX_RENDER_WORKERS = 4;
+    const RENDER_MEMORY_SHARE = 0.25; // 渲染最多占用设备内存的比例
+    const SOURCE_BYTES_ESTIMATE = 48 * 1024 * 1024; // 一张 12MP 原图解码后的大小
+    const CROP_MAX_ZOOM = 4;
+    const EXIF_SCAN_BYTES = 128 * 1024;
+    const THUMB_SIZE = 240; // 网格缩略图短边
+    const THUMB_QUALITY = 0.8;
+    const GRID_COLS = 4; // 与 #imageGrid 的 grid-cols-4 / gap-2 保持一致
+    const GRID_GAP = 8;
+    const GRID_OVERSCAN = 2; // 可视区域上下额外挂载的行数
+    const IMPORT_CHUNK = 20; // 每个写入事务的图片数
+    const STORAGE_WARN_RATIO = 0.8; // 用量超过配额该比例时提示压缩
+    const REENCODE_MIN_BYTES = 1024 * 1024;
+    const REENCODE_MAX_DIM = 4096;
+    const PREVIEW_THUMB_SIZE = 512; // 预览缩略图长边
+    const PREVIEW_THUMB_CACHE = 60;
+    const PREVIEW_MAX_W = 1200;
+    const ADJUST_PREVIEW_SIZE = 600; // 调整面板预览图长边
+    const PROJECT_APP = 'puzzle-ultimate';
+    const PROJECT_VERSION = 1; // 工程文件 manifest 版本，格式不兼容时递增
+
+    // album_order 复合索引上某个相册的全部范围
+    const albumRange = (albumId) => IDBKeyRange.bound([albumId, -Infinity], [albumId, Infinity]);
 
     // --- IndexedDB 模块 ---
     const DB = {
@@ -29,22 +77,83 @@ const App = (() => {
                 const req = indexedDB.open(DB_NAME, DB_VERSION);
                 req.onupgradeneeded = (e) => {
                     const db = e.target.result;
-                    if (!db.objectStoreNames.contains('images')) {
-                        db.createObjectStore('images', { keyPath: 'id', autoIncrement: true });
+                    const tx = e.target.transaction;
+                    ['images', 'stickers', 'albums'].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+                        }
+                    });
+                    const images = tx.objectStore('images');
+                    const stickers = tx.objectStore('stickers');
+                    if (!images.indexNames.contains('order')) images.createIndex('order', 'order');
+                    if (!images.indexNames.contains('albumId')) images.createIndex('albumId', 'albumId');
+                    if (!images.indexNames.contains('album_order')) images.createIndex('album_order', ['albumId', 'order']);
+                    if (!stickers.indexNames.contains('albumId')) stickers.createIndex('albumId', 'albumId');
+                    // v5: 网格缩略图，主键与图片 id 相同；旧图片在首次显示时补生成
+                    if (!db.objectStoreNames.contains('thumbs')) {
+                        db.createObjectStore('thumbs', { keyPath: 'id' }).createIndex('albumId', 'albumId');
+                    }
+                    // v6: 相册级素材（背景图等），kind 区分用途
+                    if (!db.objectStoreNames.contains('assets')) {
+                        db.createObjectStore('assets', { keyPath: 'id', autoIncrement: true }).createIndex('albumId', 'albumId');
+                    }
+
+                    // v1~v3 -> v4: 旧数据归入默认相册；v1 记录没有 order 字段，按原主键顺序补齐
+                    // 同一条记录只用一个游标改写，避免两次 update 互相覆盖
+                    if (e.oldVersion < 4) {
+                        let legacy = null;
+                        try { legacy = JSON.parse(localStorage.getItem(SETTINGS_KEY)); } catch(err) {}
+                        tx.objectStore('albums').put({ id: DEFAULT_ALBUM_ID, name: '默认相册', settings: legacy, created: Date.now() });
+
+                        let order = 0;
+                        images.openCursor().onsuccess = (ev) => {
+                            const cursor = ev.target.result;
+                            if (!cursor) return;
+                            const v = cursor.value;
+                            cursor.update({
+                                ...v,
+                                order: v.order === undefined ? order : v.order,
+                                albumId: v.albumId === undefined ? DEFAULT_ALBUM_ID : v.albumId
+                            });
+                            order++;
+                            cursor.continue();
+                        };
+                        stickers.openCursor().onsuccess = (ev) => {
+                            const cursor = ev.target.result;
+                            if (!cursor) return;
+                            if (cursor.value.albumId === undefined) cursor.update({ ...cursor.value, albumId: DEFAULT_ALBUM_ID });
+                            cursor.continue();
+                        };
                     }
                 };
                 req.onsuccess = (e) => { state.db = e.target.result; resolve(); };
                 req.onerror = (e) => reject(e);
             });
         },
-        addImages: (files) => {
-            return new Promise(async (resolve) => {
-                const tx = state.db.transaction('images', 'readwrite');
+        // extras[i] 为附加字段（如内容指纹），thumbs[i] 为缩略图，与 files 一一对应
+        // 返回新记录的 id；写入失败时 reject
+        addImages: (files, extras = [], thumbs = []) => {
+            return new Promise((resolve, reject) => {
+                const ids = [];
+                const tx = state.db.transaction(['images', 'thumbs'], 'readwrite');
                 const store = tx.objectStore('images');
-                for (let file of files) {
-                    store.add({ name: file.name, blob: file, created: Date.now() });
-                }
-                tx.oncomplete = () => resolve();
+                const thumbStore = tx.objectStore('thumbs');
+                const albumId = state.albumId;
+                // 新图片追加到当前相册最大 order 之后
+                store.index('album_order').openCursor(albumRange(albumId), 'prev').onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    let order = cursor ? cursor.value.order + 1 : 0;
+                    files.forEach((file, i) => {
+                        const req = store.add({ name: file.name, created: Date.now(), ...extras[i], blob: file, albumId, order: order++ });
+                        req.onsuccess = () => {
+                            ids[i] = req.result;
+                            if (thumbs[i]) thumbStore.put({ id: req.result, albumId, blob: thumbs[i] });
+                        };
+                    });
+                };
+                // 整个事务要么全部写入要么全部回滚；空间不足时 abort 并带 QuotaExceededError
+                tx.oncomplete = () => resolve(ids);
+                tx.onabort = () => reject(tx.error || new Error('写入被中止'));
             });
         },
         getAll: () => {
@@ -52,59 +161,264 @@ const App = (() => {
                 if(!state.db) return resolve([]);
                 const tx = state.db.transaction('images', 'readonly');
                 const store = tx.objectStore('images');
-                const req = store.getAll();
+                const req = store.index('album_order').getAll(albumRange(state.albumId));
                 req.onsuccess = () => resolve(req.result);
                 req.onerror = () => resolve([]);
             });
         },
-        clear: () => {
+        // 按传入的 id 顺序重写 order 字段
+        saveOrder: (ids) => {
             return new Promise((resolve) => {
+                const pos = new Map(ids.map((id, i) => [id, i]));
+                const tx = state.db.transaction('images', 'readwrite');
+                tx.objectStore('images').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    const order = pos.get(cursor.value.id);
+                    if (order !== undefined && order !== cursor.value.order) {
+                        cursor.update({ ...cursor.value, order: order });
+                    }
+                    cursor.continue();
+                };
+                tx.oncomplete = () => resolve();
+            });
+        },
+        // 合并更新单条记录的字段
+        update: (id, patch) => {
+            return new Promise((resolve, reject) => {
                 const tx = state.db.transaction('images', 'readwrite');
-                tx.objectStore('images').clear();
+                const store = tx.objectStore('images');
+                const req = store.get(id);
+                req.onsuccess = () => {
+                    if (req.result) store.put({ ...req.result, ...patch });
+                };
+                tx.oncomplete = () => resolve();
+                tx.onabort = () => reject(tx.error || new Error('写入被中止'));
+            });
+        },
+        // 原位替换：保留 id 与 order，只换文件；旧缩略图一并替换或删除
+        replace: (id, file, extra = {}, thumb = null) => {
+            return new Promise((resolve, reject) => {
+                const tx = state.db.transaction(['images', 'thumbs'], 'readwrite');
+                const store = tx.objectStore('images');
+                const req = store.get(id);
+                req.onsuccess = () => {
+                    if (!req.result) return;
+                    store.put({ ...req.result, ...extra, name: file.name, blob: file, created: Date.now() });
+                    if (thumb) tx.objectStore('thumbs').put({ id, albumId: req.result.albumId, blob: thumb });
+                    else tx.objectStore('thumbs').delete(id);
+                };
+                tx.oncomplete = () => resolve();
+                tx.onabort = () => reject(tx.error || new Error('写入被中止'));
+            });
+        },
+        // 仅清空当前相册的图片（含缩略图）
+        clear: () => DB.clearImages(state.albumId),
+        clearImages: (albumId) => Promise.all([DB.clearAlbum('images', albumId), DB.clearAlbum('thumbs', albumId)]),
+        delete: (id) => DB.deleteMany([id]),
+        putThumb: (id, blob) => DB.put('thumbs', { id, albumId: state.albumId, blob }),
+        // --- 通用存取（贴纸、相册等小型 store）---
+        // 传入 albumId 时按相册过滤（store 需有 albumId 索引）
+        getAllFrom: (storeName, albumId) => {
+            return new Promise((resolve) => {
+                if(!state.db) return resolve([]);
+                const store = state.db.transaction(storeName, 'readonly').objectStore(storeName);
+                const req = albumId === undefined ? store.getAll() : store.index('albumId').getAll(albumId);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => resolve([]);
+            });
+        },
+        get: (storeName, id) => {
+            return new Promise((resolve) => {
+                const req = state.db.transaction(storeName, 'readonly').objectStore(storeName).get(id);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => resolve(null);
+            });
+        },
+        put: (storeName, record) => {
+            return new Promise((resolve, reject) => {
+                const tx = state.db.transaction(storeName, 'readwrite');
+                const req = tx.objectStore(storeName).put(record);
+                tx.oncomplete = () => resolve(req.result);
+                tx.onerror = () => reject(tx.error);
+                // 配额不足时事务直接中止，不一定触发 onerror
+                tx.onabort = () => reject(tx.error || new Error('写入被中止'));
+            });
+        },
+        remove: (storeName, id) => {
+            return new Promise((resolve) => {
+                const tx = state.db.transaction(storeName, 'readwrite');
+                tx.objectStore(storeName).delete(id);
+                tx.oncomplete = () => resolve();
+            });
+        },
+        clearAlbum: (storeName, albumId) => {
+            return new Promise((resolve) => {
+                const tx = state.db.transaction(storeName, 'readwrite');
+                tx.objectStore(storeName).index('albumId').openCursor(albumId).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
                 tx.oncomplete = () => resolve();
             });
         },
-        delete: (id) => {
-            const tx = state.db.transaction('images', 'readwrite');
-            tx.objectStore('images').delete(id);
+        deleteMany: (ids) => {
+            return new Promise((resolve) => {
+                const tx = state.db.transaction(['images', 'thumbs'], 'readwrite');
+                ids.forEach(id => {
+                    tx.objectStore('images').delete(id);
+                    tx.objectStore('thumbs').delete(id);
+                });
+                tx.oncomplete = () => resolve();
+            });
         }
     };
 
     // --- 初始化与生命周期 ---
     const init = async () => {
+        // 页眉页脚沿用序号的字体列表，须在读取设置之前填充
+        document.getElementById('bandFont').innerHTML = document.getElementById('fontFamily').innerHTML;
         loadSettings();
+        renderPresetSelect();
         await DB.init();
+        await loadAlbums();
         await refreshImagesFromDB();
+        await refreshStickersFromDB();
+        await refreshAssetsFromDB();
+        setupGrid();
         setupDragDrop();
         setupDraggableBtn();
+        setupCropEditor();
         
         // 绑定所有输入事件以更新设置
         document.querySelectorAll('input, select').forEach(el => {
-            if(el.type !== 'file') {
-                el.addEventListener('change', () => { saveSettings(); updateNumberPreview(); });
-                el.addEventListener('input', () => { saveSettings(); updateNumberPreview(); });
+            if(el.type !== 'file' && !('noAutosave' in el.dataset)) {
+                el.addEventListener('change', () => { saveSettings(); updatePreview(); });
+                el.addEventListener('input', () => { saveSettings(); updatePreview(); });
             }
         });
         
         // 初始计算与预览
         calculateGroupBatch();
-        updateNumberPreview();
+        updatePreview();
     };
 
     const refreshImagesFromDB = async () => {
-        // 释放旧URL
-        state.images.forEach(img => URL.revokeObjectURL(img.url));
-        
         const records = await DB.getAll();
         state.images = records.map(r => ({
             id: r.id,
             name: r.name,
-            url: URL.createObjectURL(r.blob)
+            order: r.order,
+            created: r.created,
+            taken: r.taken,
+            orientation: r.orientation,
+            hash: r.hash,
+            phash: r.phash,
+            crop: r.crop,
+            adjust: r.adjust,
+            caption: r.caption,
+            width: r.width,
+            height: r.height,
+            analyzed: r.analyzed,
+            blob: r.blob
         }));
         
-        renderGrid();
-        updateUI();
-        calculateGroupBatch();
+        // 已删除或切换相册后不再需要的缩略图与选中状态
+        const ids = new Set(state.images.map(i => i.id));
+        state.selected.forEach(id => { if (!ids.has(id)) state.selected.delete(id); });
+        state.thumbUrls.forEach((url, id) => { if (!ids.has(id)) dropThumb(id); });
+        state.gridTiles.forEach((el, id) => { if (!ids.has(id)) dropThumb(id); });
+
+        afterImagesChanged();
+    };
+
+    // --- 导入来源：ZIP / 文件夹 / 剪贴板 ---
+    const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', bmp: 'image/bmp', avif: 'image/avif' };
+    const extName = (name) => (name.split('.').pop() || '').toLowerCase();
+    const isImageFile = (file) => file.type.startsWith('image/') || extName(file.name) in IMAGE_TYPES;
+    const isZipFile = (file) => /zip/.test(file.type) || extName(file.name) === 'zip';
+    // 系统生成的隐藏文件不计入跳过列表
+    const isJunkPath = (path) => /(^|\/)(__MACOSX\/|\.)/.test(path) || /(^|\/)Thumbs\.db$/i.test(path);
+
+    // 解压 ZIP 中的图片，按路径自然顺序排列
+    const expandZip = async (file, skipped) => {
+        const zip = await JSZip.loadAsync(file);
+        const entries = Object.values(zip.files)
+            .filter(entry => !entry.dir && !isJunkPath(entry.name))
+            .sort((a, b) => naturalCompare(a.name, b.name));
+        const images = [];
+        for (const entry of entries) {
+            const type = IMAGE_TYPES[extName(entry.name)];
+            if (!type) { skipped.push(`${file.name}/${entry.name}`); continue; }
+            const blob = await entry.async('blob');
+            images.push(new File([blob], entry.name.split('/').pop(), { type, lastModified: entry.date ? entry.date.getTime() : Date.now() }));
+        }
+        return images;
+    };
+
+    // 展开导入列表：图片直接保留，ZIP 解压，其余记入跳过列表
+    const expandImports = async (files) => {
+        const images = [];
+        const skipped = [];
+        for (const file of files) {
+            if (isZipFile(file)) {
+                showToast(true, `正在解压 ${file.name}...`);
+                try {
+                    images.push(...await expandZip(file, skipped));
+                } catch (err) {
+                    console.error(err);
+                    skipped.push(`${file.name} (无法解压)`);
+                }
+            } else if (isImageFile(file)) images.push(file);
+            else if (!isJunkPath(file.name)) skipped.push(file.name);
+        }
+        return { images, skipped };
+    };
+
+    // 递归读取拖入的文件夹；readEntries 每次最多返回 100 项，需读到空为止
+    const readEntry = async (entry) => {
+        if (entry.isFile) {
+            if (isJunkPath(entry.fullPath.slice(1))) return [];
+            return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+        }
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length);
+        children.sort((a, b) => naturalCompare(a.name, b.name));
+        const files = [];
+        for (const child of children) files.push(...await readEntry(child));
+        return files;
+    };
+
+    const filesFromDrop = async (dataTransfer) => {
+        // 必须在第一次 await 前同步取出 entry，事件结束后 DataTransfer 即失效
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+        if (!entries.length || entries.some(entry => !entry)) return Array.from(dataTransfer.files);
+        const files = [];
+        for (const entry of entries) files.push(...await readEntry(entry));
+        return files;
+    };
+
+    const handlePaste = (e) => {
+        // 输入框内的粘贴保留给文字
+        if (e.target.closest('input, textarea, select')) return;
+        const stamp = Date.now();
+        const files = Array.from(e.clipboardData ? e.clipboardData.items : [])
+            .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean) // 数据不可读时 getAsFile 返回 null
+            // 剪贴板图片通常都叫 image.png，重命名避免去重与排序混淆
+            .map((file, i) => new File([file], `粘贴_${stamp}_${i + 1}.${extOf(file)}`, { type: file.type }));
+        if (!files.length) return;
+        e.preventDefault();
+        handleFiles(files);
     };
 
     // --- 导入引擎 (防卡死) ---
@@ -112,54 +426,720 @@ const App = (() => {
         if (!files.length) return;
         showToast(true, '正在处理导入...');
         await sleep(100); // UI 刷新缓冲
+        requestPersist();
 
-        // 1. 存入 IDB
-        await DB.addImages(Array.from(files));
-        
-        // 2. 刷新界面
-        await refreshImagesFromDB();
+        const { images: list, skipped } = await expandImports(Array.from(files));
+        if (!list.length) {
+            showToast(false);
+            document.getElementById('fileInput').value = '';
+            return alert(skipped.length ? `没有可导入的图片，已跳过 ${skipped.length} 个文件` : '没有可导入的图片');
+        }
+
+        // 分块导入：每块一个事务，写入失败时只损失当前块，已写入的 id 用于回滚
+        const failed = []; // 单个文件处理失败
+        const added = [];
+        let stopped = null; // 整块写入失败（通常是空间不足）
+        for (let c = 0; c < list.length && !stopped; c += IMPORT_CHUNK) {
+            const chunk = list.slice(c, c + IMPORT_CHUNK);
+            const batch = [];
+            const extras = [];
+            const thumbs = [];
+            // 1. 读取 EXIF 并按需清理，再计算内容指纹（用于去重）、尺寸与缩略图
+            for (let i = 0; i < chunk.length; i++) {
+                showToast(true, `正在导入 ${c + i + 1}/${list.length}...`);
+                try {
+                    const { file, meta } = await prepareImport(chunk[i]);
+                    const { thumb, ...info } = await analyzeImage(file, meta.orientation);
+                    batch.push(file);
+                    extras.push({ ...meta, ...info });
+                    thumbs.push(thumb);
+                } catch (err) {
+                    console.error(err);
+                    failed.push(`${chunk[i].name}：${err.message || err.name}`);
+                }
+            }
+            // 2. 存入 IDB
+            if (!batch.length) continue;
+            try {
+                added.push(...await DB.addImages(batch, extras, thumbs));
+            } catch (err) {
+                console.error(err);
+                stopped = { error: err, remaining: list.slice(c) };
+            }
+        }
         showToast(false);
         document.getElementById('fileInput').value = '';
+        if (stopped) await handleImportFailure(stopped, added);
+
+        // 3. 刷新界面，补齐旧记录指纹后检测重复
+        await refreshImagesFromDB();
+        await ensureImageInfo();
+        updateDuplicateAlert();
+        showToast(false);
+
+        const notes = [];
+        if (failed.length) notes.push(`${failed.length} 个文件导入失败：\n${listNames(failed)}`);
+        if (skipped.length) notes.push(`跳过 ${skipped.length} 个非图片文件：\n${listNames(skipped)}`);
+        if (notes.length) alert(`已导入 ${added.length} 张图片。\n\n${notes.join('\n\n')}`);
     };
 
-    const renderGrid = () => {
-        const grid = document.getElementById('imageGrid');
-        grid.innerHTML = '';
-        
-        if (state.images.length === 0) {
-            document.getElementById('emptyState').style.display = 'flex';
-            grid.appendChild(document.getElementById('emptyState'));
-            return;
+    const listNames = (names) => names.slice(0, 10).join('\n') + (names.length > 10 ? `\n…等 ${names.length} 个` : '');
+
+    // --- 存储空间 ---
+    let persistRequested = false;
+
+    const isQuotaError = (err) => !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+    // 申请持久存储，避免浏览器在空间紧张时自动清理图片；每次会话只申请一次
+    const requestPersist = async () => {
+        if (persistRequested || !navigator.storage || !navigator.storage.persist) return;
+        persistRequested = true;
+        try {
+            if (!(await navigator.storage.persisted())) await navigator.storage.persist();
+        } catch (err) {
+            console.warn('Persist request failed', err);
+        }
+        updateStorageInfo();
+    };
+
+    const updateStorageInfo = async () => {
+        const box = document.getElementById('storageInfo');
+        const resume = document.getElementById('resumeImportBtn');
+        resume.classList.toggle('hidden', !state.pendingImport);
+        if (state.pendingImport) resume.innerText = `继续导入剩余 ${state.pendingImport.length} 张`;
+        if (!navigator.storage || !navigator.storage.estimate) return;
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+        const ratio = quota ? usage / quota : 0;
+        const low = ratio >= STORAGE_WARN_RATIO;
+        box.classList.remove('hidden');
+        document.getElementById('storageText').innerText = `已用 ${formatBytes(usage)} / ${formatBytes(quota)}${persisted ? ' · 已持久保存' : ''}`;
+        const bar = document.getElementById('storageBar');
+        bar.style.width = `${Math.min(100, Math.max(1, ratio * 100))}%`;
+        bar.style.background = low ? '#FF3B30' : '#007AFF';
+        document.getElementById('reencodeBtn').classList.toggle('hidden', !low || !state.images.length);
+    };
+
+    // 写入失败时：保留已导入部分并可稍后继续，或撤销本次导入
+    const handleImportFailure = async ({ error, remaining }, added) => {
+        const quota = isQuotaError(error);
+        const reason = quota ? '存储空间不足' : `写入失败 (${error.message || error.name})`;
+        const keep = confirm(`${reason}：已导入 ${added.length} 张，剩余 ${remaining.length} 张未导入。\n\n确定：保留已导入的图片，稍后可继续导入剩余部分\n取消：撤销本次导入`);
+        if (keep) {
+            state.pendingImport = remaining;
         } else {
-            document.getElementById('emptyState').style.display = 'none';
+            await DB.deleteMany(added);
+            added.length = 0;
+            state.pendingImport = null;
+        }
+        if (quota && confirm('是否压缩已存储的图片以释放空间？')) await reencodeImages();
+    };
+
+    const resumeImport = () => {
+        const files = state.pendingImport;
+        state.pendingImport = null;
+        if (files) handleFiles(files);
+    };
+
+    // 重新压缩当前相册中较大的图片：长边不超过 REENCODE_MAX_DIM，统一存为 JPG
+    // PNG 可能含透明，保持原样；压缩后没有变小的也保持原样
+    const reencodeImages = async () => {
+        const targets = state.images.filter(img => img.blob.size > REENCODE_MIN_BYTES && img.blob.type !== 'image/png');
+        if (!targets.length) return alert('没有可压缩的图片（仅处理大于 1MB 的 JPG/WebP 等）');
+        const input = prompt(`将重新压缩当前相册中 ${targets.length} 张较大的图片，长边不超过 ${REENCODE_MAX_DIM}px，此操作不可撤销。\n画质 (10-95)：`, '80');
+        if (input === null) return;
+        const quality = Math.min(95, Math.max(10, parseInt(input) || 80)) / 100;
+
+        let saved = 0;
+        let failed = false;
+        try {
+            for (let i = 0; i < targets.length; i++) {
+                showToast(true, `正在压缩 ${i + 1}/${targets.length}...`);
+                const img = targets[i];
+                const bmp = await Renderer.decode(img.blob, img.orientation);
+                const k = Math.min(1, REENCODE_MAX_DIM / Math.max(bmp.width, bmp.height));
+                const cvs = Renderer.createCanvas(Math.round(bmp.width * k), Math.round(bmp.height * k));
+                let blob;
+                try {
+                    const ctx = cvs.getContext('2d');
+                    ctx.fillStyle = '#FFFFFF';
+                    ctx.fillRect(0, 0, cvs.width, cvs.height);
+                    ctx.drawImage(bmp, 0, 0, cvs.width, cvs.height);
+                    blob = await Renderer.toBlob(cvs, 'image/jpeg', quality);
+                } finally {
+                    bmp.close();
+                    cvs.width = cvs.height = 0;
+                }
+                if (blob.size >= img.blob.size) continue;
+                const file = new File([blob], img.name, { type: 'image/jpeg' });
+                const { thumb, ...info } = await analyzeImage(file);
+                // 位图已按 EXIF 摆正，新文件不再带方向信息
+                const patch = { ...info, orientation: 1, blob: file };
+                await DB.update(img.id, patch);
+                if (thumb) await DB.putThumb(img.id, thumb);
+                saved += img.blob.size - blob.size;
+                Object.assign(img, patch);
+            }
+        } catch (err) {
+            console.error(err);
+            failed = true;
+            alert('压缩中断: ' + (err.message || err.name));
+        } finally {
+            showToast(false);
         }
+        afterImagesChanged();
+        if (!failed) alert(`压缩完成，释放约 ${formatBytes(saved)}`);
+    };
+
+    // --- 缩略图 ---
+    // 导入时生成小图存入 thumbs store，网格只加载缩略图，不再为每张原图创建 URL
+    const thumbLoads = new Map(); // id -> 加载中的 Promise
+
+    const makeThumb = (bmp) => {
+        // 网格格子为正方形 cover，短边达到 THUMB_SIZE 即可
+        const k = Math.min(1, THUMB_SIZE / Math.min(bmp.width, bmp.height));
+        const cvs = Renderer.createCanvas(Math.max(1, Math.round(bmp.width * k)), Math.max(1, Math.round(bmp.height * k)));
+        const ctx = cvs.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, cvs.width, cvs.height);
+        ctx.drawImage(bmp, 0, 0, cvs.width, cvs.height);
+        return Renderer.toBlob(cvs, 'image/jpeg', THUMB_QUALITY);
+    };
+
+    const loadThumb = (img) => {
+        if (state.thumbUrls.has(img.id)) return Promise.resolve(state.thumbUrls.get(img.id));
+        if (thumbLoads.has(img.id)) return thumbLoads.get(img.id);
+        const task = (async () => {
+            const rec = await DB.get('thumbs', img.id);
+            let blob = rec && rec.blob;
+            if (!blob) {
+                // 旧版本或工程导入的图片没有缩略图，首次显示时补生成
+                try {
+                    const bmp = await Renderer.decode(img.blob, img.orientation);
+                    blob = await makeThumb(bmp);
+                    bmp.close();
+                    await DB.putThumb(img.id, blob);
+                } catch (err) {
+                    console.warn('Thumbnail failed', err);
+                    blob = img.blob;
+                }
+            }
+            // 加载期间图片被删除或替换时，结果作废
+            if (thumbLoads.get(img.id) !== task) return null;
+            thumbLoads.delete(img.id);
+            const url = URL.createObjectURL(blob);
+            state.thumbUrls.set(img.id, url);
+            return url;
+        })();
+        thumbLoads.set(img.id, task);
+        return task;
+    };
+
+    const dropThumb = (id) => {
+        const url = state.thumbUrls.get(id);
+        if (url) URL.revokeObjectURL(url);
+        state.thumbUrls.delete(id);
+        thumbLoads.delete(id);
+        const tile = state.gridTiles.get(id);
+        if (tile) tile.remove();
+        state.gridTiles.delete(id);
+    };
+
+    // --- 图片网格 (虚拟列表) ---
+    // 只挂载可视区域附近的格子，节点按 id 复用；上下用 padding 撑出完整滚动高度
+    let gridFrame = 0;
+
+    const visibleImages = () => {
+        const keyword = document.getElementById('nameFilter').value.trim().toLowerCase();
+        return keyword ? state.images.filter(img => img.name.toLowerCase().includes(keyword)) : state.images;
+    };
+
+    const createTile = (img) => {
+        const div = document.createElement('div');
+        div.className = 'relative aspect-square rounded-xl overflow-hidden bg-gray-100 border border-gray-100 thumbnail-item active:opacity-80 transition cursor-grab active:cursor-grabbing';
+        div.dataset.id = img.id;
+        div.innerHTML = `<img class="w-full h-full object-cover pointer-events-none select-none"><span class="select-mark">✓</span>`;
+        loadThumb(img).then(url => { if (url) div.firstChild.src = url; });
+        // 拖拽排序后 DOM 不重建，下标需按 id 实时查找
+        div.onmouseup = () => {
+            if (state.selectMode) toggleSelected(img.id, div);
+            else openImageActions(state.images.findIndex(i => i.id === img.id));
+        };
+        state.gridTiles.set(img.id, div);
+        return div;
+    };
+
+    const renderGrid = () => {
+        const grid = document.getElementById('imageGrid');
+        const emptyState = document.getElementById('emptyState');
+        emptyState.style.display = state.images.length ? 'none' : 'flex';
+        // 拖拽过程中由 Sortable 接管 DOM
+        if (state.gridDragging) return;
+
+        const list = visibleImages();
+        const width = grid.clientWidth || 320;
+        const rowH = (width - GRID_GAP * (GRID_COLS - 1)) / GRID_COLS + GRID_GAP;
+        const rows = Math.ceil(list.length / GRID_COLS);
+        const first = Math.max(0, Math.floor(grid.scrollTop / rowH) - GRID_OVERSCAN);
+        const last = Math.min(rows, Math.ceil((grid.scrollTop + (grid.clientHeight || 220)) / rowH) + GRID_OVERSCAN);
+        state.gridStart = first * GRID_COLS;
+        const slice = list.slice(state.gridStart, last * GRID_COLS);
+        grid.style.paddingTop = `${first * rowH}px`;
+        grid.style.paddingBottom = `${Math.max(0, rows - last) * rowH}px`;
 
-        const fragment = document.createDocumentFragment();
-        state.images.forEach((img, index) => {
-            const div = document.createElement('div');
-            div.className = 'relative aspect-square rounded-xl overflow-hidden bg-gray-100 border border-gray-100 thumbnail-item active:opacity-80 transition cursor-grab active:cursor-grabbing';
-            // Lazy load setup
-            div.innerHTML = `<img src="${img.url}" class="w-full h-full object-cover pointer-events-none select-none" loading="lazy">`;
-            div.onmouseup = () => openImageActions(index);
-            fragment.appendChild(div);
+        const keep = new Set(slice.map(img => img.id));
+        state.gridTiles.forEach((el, id) => {
+            if (keep.has(id)) return;
+            el.remove();
+            state.gridTiles.delete(id);
         });
-        grid.appendChild(fragment);
+        // 按顺序就位，已在正确位置的节点不移动
+        let prev = emptyState;
+        slice.forEach(img => {
+            const el = state.gridTiles.get(img.id) || createTile(img);
+            el.classList.toggle('selected', state.selected.has(img.id));
+            if (prev.nextSibling !== el) grid.insertBefore(el, prev.nextSibling);
+            prev = el;
+        });
+    };
 
-        if (state.sortable) state.sortable.destroy();
+    const scheduleGrid = () => {
+        if (gridFrame) return;
+        gridFrame = requestAnimationFrame(() => { gridFrame = 0; renderGrid(); });
+    };
+
+    // Sortable 只创建一次；下标相对于当前挂载的窗口
+    const setupGrid = () => {
+        const grid = document.getElementById('imageGrid');
+        grid.addEventListener('scroll', scheduleGrid, { passive: true });
+        window.addEventListener('resize', scheduleGrid);
+        // 折叠时宽高为 0，展开后重新计算
+        grid.closest('details').addEventListener('toggle', scheduleGrid);
         state.sortable = new Sortable(grid, {
             animation: 150,
             ghostClass: 'sortable-ghost',
             delay: 150,
             delayOnTouchOnly: true,
+            // 只统计图片格子，emptyState 不参与下标计算
+            draggable: '.thumbnail-item',
+            disabled: state.selectMode,
+            onStart: () => { state.gridDragging = true; },
             onEnd: async (evt) => {
-                // 仅更新数组顺序，这里不实现IDB重排序（太复杂），仅内存排序
-                // 如果需要严格持久化排序，需要给IDB加 order 字段，此处省略以保性能
-                const item = state.images.splice(evt.oldIndex, 1)[0];
-                state.images.splice(evt.newIndex, 0, item);
+                state.gridDragging = false;
+                if (evt.oldIndex === evt.newIndex) return;
+                const item = state.images.splice(state.gridStart + evt.oldIndex, 1)[0];
+                state.images.splice(state.gridStart + evt.newIndex, 0, item);
+                // 写回 IDB，刷新/删除/替换后顺序不丢失
+                await DB.saveOrder(state.images.map(i => i.id));
+                renderGrid();
+                updatePreview();
             }
         });
     };
 
+    // 图片列表变化后的统一刷新
+    const afterImagesChanged = () => {
+        renderGrid();
+        updateUI();
+        calculateGroupBatch();
+        updateDuplicateAlert();
+        updatePreview();
+        updateStorageInfo();
+    };
+
+    // 本地移除已删除的图片，不重新读取整个列表
+    const removeImages = (ids) => {
+        const gone = new Set(ids);
+        state.images = state.images.filter(img => !gone.has(img.id));
+        ids.forEach(id => { dropThumb(id); state.selected.delete(id); });
+        afterImagesChanged();
+    };
+
+    const updateUI = () => {
+        document.getElementById('countBadge').innerText = state.images.length;
+        document.getElementById('clearBtn').classList.toggle('hidden', state.images.length === 0);
+        document.getElementById('gridTools').classList.toggle('hidden', state.images.length === 0);
+        updateSelectionBar();
+    };
+
+    // --- 批量排序与多选 ---
+    const naturalCompare = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }).compare;
+
+    // 缺少该字段的图片排在最后，保持原有相对顺序
+    const byField = (get) => (a, b) => {
+        const va = get(a), vb = get(b);
+        if (va == null || vb == null) return (va == null) - (vb == null);
+        return va - vb;
+    };
+
+    const SORTERS = {
+        name: (a, b) => naturalCompare(a.name, b.name),
+        created: byField(img => img.created),
+        size: byField(img => img.blob.size),
+        taken: byField(img => img.taken),
+        aspect: byField(img => img.width && img.height ? img.width / img.height : null)
+    };
+
+    // 重排后写回 IDB 并刷新网格与预览
+    const applyOrder = async (images) => {
+        state.images = images;
+        state.images.forEach((img, i) => { img.order = i; });
+        await DB.saveOrder(state.images.map(i => i.id));
+        renderGrid();
+        updatePreview();
+    };
+
+    const sortImages = async (mode) => {
+        if (!mode || state.images.length < 2) return;
+        const images = state.images.slice();
+        if (mode === 'reverse') images.reverse();
+        else if (mode === 'shuffle') {
+            for (let i = images.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [images[i], images[j]] = [images[j], images[i]];
+            }
+        } else {
+            // 按比例排序前补齐旧记录缺少的尺寸
+            if (mode === 'aspect') await ensureImageInfo();
+            images.sort(SORTERS[mode]);
+        }
+        await applyOrder(images);
+    };
+
+    // 筛选时只显示匹配的子集，拖拽排序暂停（子集内的位置无法对应完整列表）
+    const updateSortableState = () => {
+        const filtered = !!document.getElementById('nameFilter').value.trim();
+        if (state.sortable) state.sortable.option('disabled', state.selectMode || filtered);
+    };
+
+    const applyNameFilter = () => {
+        document.getElementById('imageGrid').scrollTop = 0;
+        updateSortableState();
+        renderGrid();
+    };
+
+    const toggleSelectMode = (on = !state.selectMode) => {
+        state.selectMode = on;
+        if (!on) state.selected.clear();
+        document.getElementById('imageGrid').classList.toggle('select-mode', on);
+        updateSortableState();
+        renderGrid();
+        updateSelectionBar();
+    };
+
+    const toggleSelected = (id, el) => {
+        if (state.selected.has(id)) state.selected.delete(id);
+        else state.selected.add(id);
+        el.classList.toggle('selected', state.selected.has(id));
+        updateSelectionBar();
+    };
+
+    // 选中当前筛选结果中的全部图片；已全部选中时取消
+    const selectAllVisible = () => {
+        const ids = visibleImages().map(img => img.id);
+        const all = ids.every(id => state.selected.has(id));
+        ids.forEach(id => all ? state.selected.delete(id) : state.selected.add(id));
+        renderGrid();
+        updateSelectionBar();
+    };
+
+    const updateSelectionBar = () => {
+        document.getElementById('selectModeBtn').innerText = state.selectMode ? '完成' : '多选';
+        document.getElementById('selectionBar').classList.toggle('hidden', !state.selectMode);
+        document.getElementById('selectedCount').innerText = state.selected.size;
+    };
+
+    const deleteSelected = async () => {
+        if (!state.selected.size) return;
+        if (!confirm(`确定删除选中的 ${state.selected.size} 张图片？`)) return;
+        const ids = Array.from(state.selected);
+        await DB.deleteMany(ids);
+        removeImages(ids);
+    };
+
+    // 选中的图片保持相对顺序，整体移动到第 N 位
+    const moveSelected = async () => {
+        if (!state.selected.size) return;
+        const rest = state.images.filter(img => !state.selected.has(img.id));
+        const moving = state.images.filter(img => state.selected.has(img.id));
+        const input = prompt(`移动到第几位？(1 - ${rest.length + 1})`, '1');
+        if (input === null) return;
+        const pos = parseInt(input);
+        if (isNaN(pos)) return alert('请输入数字');
+        const at = Math.min(Math.max(pos, 1), rest.length + 1) - 1;
+        rest.splice(at, 0, ...moving);
+        await applyOrder(rest);
+    };
+
+    // --- 渲染线程池 (Worker + OffscreenCanvas) ---
+    const RenderPool = {
+        workers: [],
+        probed: null,
+        reject: null,
+
+        // 探测一次 Worker 内 OffscreenCanvas 是否可用（file:// 或旧 Safari 会失败）
+        probe: () => {
+            if (RenderPool.probed) return RenderPool.probed;
+            RenderPool.probed = new Promise((resolve) => {
+                if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return resolve(false);
+                let worker;
+                try { worker = new Worker(WORKER_URL); } catch (err) { return resolve(false); }
+                const done = (ok) => { clearTimeout(timer); worker.terminate(); resolve(ok); };
+                const timer = setTimeout(() => done(false), 3000);
+                worker.onmessage = (e) => done(!!e.data.ok);
+                worker.onerror = () => done(false);
+                worker.postMessage({ type: 'probe' });
+            });
+            return RenderPool.probed;
+        },
+
+        // 根据设备内存与核数估算可并行的组数，每组峰值 ≈ 画布 RGBA + 一张解码中的原图
+        concurrency: (width, height) => {
+            const cores = navigator.hardwareConcurrency || 2;
+            const memory = (navigator.deviceMemory || 2) * 1024 * 1024 * 1024;
+            const perJob = width * height * 4 + SOURCE_BYTES_ESTIMATE;
+            const byMemory = Math.floor(memory * RENDER_MEMORY_SHARE / perJob);
+            return Math.max(1, Math.min(byMemory, cores - 1, MAX_RENDER_WORKERS));
+        },
+
+        run: (jobs, workerCount, hooks) => new Promise((resolve, reject) => {
+            let next = 0, finished = 0;
+            RenderPool.reject = reject;
+            const fail = (err) => { RenderPool.terminate(); reject(err); };
+            const dispatch = (worker) => {
+                if (next < jobs.length) worker.postMessage({ type: 'render', job: jobs[next++] });
+            };
+            for (let k = 0; k < Math.min(workerCount, jobs.length); k++) {
+                const worker = new Worker(WORKER_URL);
+                worker.onmessage = (e) => {
+                    const msg = e.data;
+                    if (msg.type === 'progress') hooks.progress(msg.index, msg.done);
+                    else if (msg.type === 'error') fail(new Error(msg.message));
+                    else if (msg.type === 'done') {
+                        hooks.result(msg.index, msg.blob, msg.info);
+                        if (++finished === jobs.length) { RenderPool.terminate(); resolve(); }
+                        else dispatch(worker);
+                    }
+                };
+                worker.onerror = (e) => fail(new Error(e.message || 'Worker 出错'));
+                RenderPool.workers.push(worker);
+                dispatch(worker);
+            }
+        }),
+
+        terminate: () => {
+            RenderPool.workers.forEach(w => w.terminate());
+            RenderPool.workers = [];
+            RenderPool.reject = null;
+        },
+
+        cancel: () => {
+            const reject = RenderPool.reject;
+            RenderPool.terminate();
+            if (reject) reject(new Error('Cancelled'));
+        }
+    };
+
+    // 不支持 Worker 渲染时的主线程回退，复用同一套 Renderer
+    const renderOnMainThread = async (jobs, hooks) => {
+        const canvas = document.getElementById('canvas');
+        const overlays = await Renderer.loadOverlays(state.overlays);
+        const stickers = await Renderer.loadStickers(state.stickers);
+        try {
+            for (const job of jobs) {
+                if (state.isCancelled) throw new Error('Cancelled');
+                await Renderer.renderBatch(canvas, job, {
+                    load: (img) => Renderer.decode(img.blob, img.orientation),
+                    progress: async (done) => {
+                        hooks.progress(job.index, done);
+                        // 每10张让出主线程，允许 UI 渲染和 GC
+                        if (done % 10 === 0) await sleep(20);
+                    },
+                    isCancelled: () => state.isCancelled,
+                    overlays,
+                    background: state.backgroundImg,
+                    stickers
+                });
+                const { blob, quality, oversize } = await Renderer.encodeCanvas(canvas, job.opts);
+                hooks.result(job.index, blob, { width: canvas.width, height: canvas.height, quality, oversize });
+                // 清理 Canvas 显存
+                canvas.width = 1; canvas.height = 1;
+                await sleep(20);
+            }
+        } finally {
+            Renderer.releaseOverlays(overlays);
+            Renderer.releaseStickers(stickers);
+        }
+    };
+
+    // 图片说明：文件名（去扩展名）或在操作菜单里手动填写的文字
+    const getCaption = (img) => {
+        const mode = document.getElementById('captionMode').value;
+        if (mode === 'filename') return (img.name || '').replace(/\.[^.]+$/, '');
+        if (mode === 'custom') return img.caption || '';
+        return '';
+    };
+
+    // 页眉页脚中的 {date}，在主线程取本地日期，避免 Worker 时区差异
+    const todayString = () => {
+        const d = new Date();
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+
+    const readBand = (kind) => ({
+        show: document.getElementById(`${kind}Show`).checked,
+        text: document.getElementById(`${kind}Text`).value,
+        size: parseInt(document.getElementById(`${kind}Size`).value) || 0,
+        align: document.getElementById(`${kind}Align`).value
+    });
+
+    // 读取界面参数，生成可传给 Worker 的纯数据快照
+    const getRenderOptions = () => {
+        const qVal = parseInt(document.getElementById('customQ_unified').value) || 50;
+        const output = document.getElementById('outputMode').value;
+        const weightRaw = document.getElementById('fontWeightSelect').value;
+        return {
+            cols: parseInt(document.getElementById('cols').value) || 3,
+            rows: parseInt(document.getElementById('group_rows').value) || 3,
+            layout: document.getElementById('layoutMode').value,
+            gap: parseInt(document.getElementById('gap').value) || 0,
+            ratio: getAspectRatio(),
+            fit: {
+                mode: document.getElementById('fitMode').value,
+                fill: document.getElementById('fitFill').value,
+                color: document.getElementById('fitFillColor').value
+            },
+            mime: document.getElementById('outputFormat').value,
+            quality: qVal / 100,
+            meta: document.getElementById('writeMeta').checked
+                ? { dpi: output === 'paper' ? parseInt(document.getElementById('outputDpi').value) || 300 : 72 }
+                : null,
+            font: {
+                show: document.getElementById('showNum').checked,
+                start: parseInt(document.getElementById('startNumber').value) || 1,
+                family: document.getElementById('fontFamily').value,
+                weight: weightRaw === 'custom' ? document.getElementById('customWeightRange').value : weightRaw,
+                color: document.getElementById('fontColor').value,
+                opacity: parseInt(document.getElementById('fontOpacity').value) / 100,
+                pos: document.getElementById('fontPos').value,
+                stroke: document.getElementById('enableStroke').checked,
+                strokeColor: document.getElementById('fontStrokeColor').value,
+                format: document.getElementById('labelFormat').value,
+                restart: document.getElementById('labelRestart').checked,
+                badge: document.getElementById('labelBadge').value,
+                badgeColor: document.getElementById('labelBadgeColor').value
+            },
+            style: {
+                padding: parseInt(document.getElementById('canvasPadding').value) || 0,
+                background: {
+                    type: document.getElementById('bgType').value,
+                    color: document.getElementById('bgColor').value,
+                    color2: document.getElementById('bgColor2').value,
+                    angle: parseInt(document.getElementById('bgAngle').value) || 0
+                },
+                radius: parseInt(document.getElementById('cellRadius').value) || 0,
+                border: {
+                    width: parseInt(document.getElementById('borderWidth').value) || 0,
+                    color: document.getElementById('borderColor').value
+                },
+                shadow: {
+                    size: parseInt(document.getElementById('shadowSize').value) || 0,
+                    color: document.getElementById('shadowColor').value,
+                    opacity: parseInt(document.getElementById('shadowOpacity').value) / 100
+                }
+            },
+            bands: {
+                header: readBand('header'),
+                footer: readBand('footer'),
+                family: document.getElementById('bandFont').value,
+                color: document.getElementById('bandColor').value,
+                fill: document.getElementById('bandFill').checked,
+                bg: document.getElementById('bandBg').value,
+                date: todayString()
+            },
+            output: {
+                mode: output,
+                width: parseInt(document.getElementById('outputWidth').value) || 0,
+                height: parseInt(document.getElementById('outputHeight').value) || 0,
+                paper: document.getElementById('outputPaper').value,
+                dpi: parseInt(document.getElementById('outputDpi').value) || 300,
+                maxBytes: Math.round((parseFloat(document.getElementById('maxFileSize').value) || 0) * 1024 * 1024)
+            }
+        };
+    };
+
+    const FORMAT_EXT = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/avif': 'avif' };
+    const FORMAT_NAMES = { 'image/png': 'PNG', 'image/jpeg': 'JPG', 'image/webp': 'WebP', 'image/avif': 'AVIF' };
+    // 不支持时依次回退，透明格式优先回退到同样支持透明的格式；PNG 是所有浏览器都支持的终点
+    const FORMAT_FALLBACK = { 'image/avif': 'image/webp', 'image/webp': 'image/jpeg', 'image/jpeg': 'image/png' };
+    const formatSupport = {};
+
+    // 浏览器不支持的格式 toBlob 会静默输出 PNG，需用 1×1 画布实测
+    const supportsFormat = (mime) => {
+        if (mime === 'image/png') return Promise.resolve(true);
+        if (!(mime in formatSupport)) {
+            formatSupport[mime] = new Promise((resolve) => {
+                const cvs = document.createElement('canvas');
+                cvs.width = cvs.height = 1;
+                cvs.toBlob(b => resolve(!!b && b.type === mime), mime, 0.5);
+            });
+        }
+        return formatSupport[mime];
+    };
+
+    const resolveFormat = async (mime) => {
+        let actual = mime;
+        while (FORMAT_FALLBACK[actual] && !(await supportsFormat(actual))) actual = FORMAT_FALLBACK[actual];
+        return actual;
+    };
+
+    const checkOutputFormat = async () => {
+        const mime = document.getElementById('outputFormat').value;
+        const actual = await resolveFormat(mime);
+        const warn = document.getElementById('formatWarning');
+        warn.classList.toggle('hidden', actual === mime);
+        warn.innerText = `当前浏览器不支持导出 ${FORMAT_NAMES[mime]}，将改用 ${FORMAT_NAMES[actual]}`;
+    };
+
+    const extOf = (blob) => FORMAT_EXT[blob.type] || 'png';
+
+    const formatBytes = (n) => {
+        if (n >= 1024 * 1024 * 1024) return `${(n / 1024 / 1024 / 1024).toFixed(2)} GB`;
+        if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(2)} MB`;
+        return `${Math.max(1, Math.round(n / 1024))} KB`;
+    };
+
+    // 按组切分渲染任务；导出与实时预览共用，保证两者一致
+    const buildJobs = (opts) => {
+        const batchSize = Renderer.groupSize(opts);
+        const total = Math.ceil(state.images.length / batchSize);
+        const jobs = [];
+        for (let b = 0; b * batchSize < state.images.length; b++) {
+            jobs.push({
+                index: b,
+                total,
+                startIndex: b * batchSize,
+                images: state.images.slice(b * batchSize, (b + 1) * batchSize).map(img => ({
+                    id: img.id,
+                    key: `${img.id}:${img.hash || ''}`,
+                    blob: img.blob,
+                    orientation: img.orientation,
+                    crop: img.crop,
+                    adjust: img.adjust,
+                    // 旋转后的宽高参与排版
+                    ...Renderer.adjustedSize(img.width, img.height, img.adjust),
+                    caption: getCaption(img)
+                })),
+                opts,
+                // 只传本组用到的覆盖层，Worker 不必解码其余的
+                overlays: state.overlays.filter(ov => Renderer.inGroups(ov.groups, b + 1)),
+                background: opts.style.background.type === 'image' && state.background ? state.background.blob : null,
+                stickers: state.stickers
+            });
+        }
+        return jobs;
+    };
+
     // --- 生成引擎 (Zero-Corruption) ---
     const generate = async () => {
         if (!state.images.length) return alert('请先添加图片');
@@ -167,364 +1147,1291 @@ const App = (() => {
         
         const resultArea = document.getElementById('resultArea');
         const container = document.getElementById('seamlessContainer');
-        const canvas = document.getElementById('canvas');
-        const ctx = canvas.getContext('2d');
         
         resultArea.classList.add('hidden');
         container.innerHTML = '';
         state.generatedBlobs = [];
 
-        // 读取参数
+        // 等高行/瀑布流需要原图比例，补齐旧记录的尺寸
+        await ensureImageInfo();
+        const opts = getRenderOptions();
+        const requested = opts.mime;
+        opts.mime = await resolveFormat(requested);
+
+        const jobs = buildJobs(opts);
+        const totalImages = state.images.length;
+        const totalBatches = jobs.length;
+
+        // 按组预留结果位，并行渲染时仍保持顺序
+        const slots = jobs.map(() => {
+            const slot = document.createElement('div');
+            slot.className = "border-b border-gray-100";
+            slot.innerHTML = `<img class="w-full block">
+                <div class="flex items-center justify-between gap-2 px-2 py-1">
+                    <div class="slot-info text-[10px] text-gray-400"></div>
+                    <div class="slot-actions hidden shrink-0 gap-3 text-[11px] font-bold text-[#007AFF]">
+                        <button data-act="share">分享</button>
+                        <button data-act="copy">复制</button>
+                    </div>
+                </div>`;
+            container.appendChild(slot);
+            return slot;
+        });
+        const drawn = new Array(totalBatches).fill(0);
+        let finished = 0;
+        const report = () => {
+            const done = drawn.reduce((a, b) => a + b, 0);
+            showToast(true, `正在生成 ${done}/${totalImages} 张 (已完成 ${finished}/${totalBatches} 组)`);
+        };
+        const hooks = {
+            progress: (index, done) => { drawn[index] = done; report(); },
+            result: (index, blob, info) => {
+                state.generatedBlobs[index] = blob;
+                slots[index].querySelector('img').src = URL.createObjectURL(blob);
+                // 实际尺寸与文件大小；限制大小时附上最终画质
+                const dpi = opts.output.mode === 'paper' ? ` · ${opts.output.dpi} DPI` : '';
+                const q = opts.output.maxBytes && blob.type !== 'image/png' ? ` · 画质 ${Math.round(info.quality * 100)}%` : '';
+                const warn = info.oversize ? ' · <span class="text-[#FF3B30]">最低画质仍超出大小限制</span>' : '';
+                // Worker 中的编码器与主线程可能不一致，以实际输出类型为准
+                const type = blob.type === requested
+                    ? FORMAT_NAMES[blob.type]
+                    : `<span class="text-[#FF9500]">${FORMAT_NAMES[blob.type] || blob.type} (不支持 ${FORMAT_NAMES[requested]})</span>`;
+                slots[index].querySelector('.slot-info').innerHTML = `第 ${index + 1} 组 · ${type} · ${info.width}×${info.height} px${dpi} · ${formatBytes(blob.size)}${q}${warn}`;
+                // 取消后 generatedBlobs 会被压缩，单组操作直接持有 blob
+                const name = `拼图_${index + 1}.${extOf(blob)}`;
+                const actions = slots[index].querySelector('.slot-actions');
+                actions.querySelector('[data-act="share"]').onclick = () => shareBlobs([blob], [name]);
+                actions.querySelector('[data-act="copy"]').onclick = () => copyBlob(blob, name);
+                actions.style.display = 'flex';
+                finished++;
+                report();
+            }
+        };
+
+        try {
+            showToast(true, '正在准备渲染...');
+            if (await RenderPool.probe()) {
+                const size = Renderer.layoutBatch(jobs[0].images, opts);
+                await RenderPool.run(jobs, RenderPool.concurrency(size.width, size.height), hooks);
+            } else {
+                await renderOnMainThread(jobs, hooks);
+            }
+        } catch (e) {
+            console.error(e);
+            if (!state.isCancelled) alert('生成出错: ' + e.message);
+        } finally {
+            showToast(false);
+        }
+
+        // 取消时保留已完成的组
+        slots.forEach((el, i) => { if (!state.generatedBlobs[i]) el.remove(); });
+        state.generatedBlobs = state.generatedBlobs.filter(Boolean);
+        if (state.generatedBlobs.length) {
+            resultArea.classList.remove('hidden');
+            resultArea.scrollIntoView({ behavior: 'smooth' });
+        }
+    };
+
+    // --- 实时预览逻辑 ---
+    // 用低分辨率缩略图 + 与导出完全相同的 Renderer 绘制第 N 组
+    let previewTimer = null;
+    let previewToken = 0;
+
+    const getPreviewThumb = async (img) => {
+        if (state.previewThumbs.has(img.key)) return state.previewThumbs.get(img.key);
+        const bmp = await Renderer.decode(img.blob, img.orientation);
+        const k = Math.min(1, PREVIEW_THUMB_SIZE / Math.max(bmp.width, bmp.height));
+        let thumb = bmp;
+        if (k < 1) {
+            const cvs = Renderer.createCanvas(Math.round(bmp.width * k), Math.round(bmp.height * k));
+            const ctx = cvs.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(bmp, 0, 0, cvs.width, cvs.height);
+            bmp.close();
+            thumb = cvs;
+        }
+        state.previewThumbs.set(img.key, thumb);
+        return thumb;
+    };
+
+    // 缓存只保留当前组附近的缩略图
+    const trimPreviewThumbs = (keep) => {
+        if (state.previewThumbs.size <= PREVIEW_THUMB_CACHE) return;
+        state.previewThumbs.forEach((thumb, key) => {
+            if (keep.has(key)) return;
+            if (thumb.close) thumb.close();
+            state.previewThumbs.delete(key);
+        });
+    };
+
+    const getPreviewOverlays = async () => {
+        const list = [];
+        for (const ov of state.overlays) {
+            if (!state.previewOverlays.has(ov.id)) {
+                try {
+                    state.previewOverlays.set(ov.id, await createImageBitmap(ov.blob));
+                } catch (err) {
+                    continue;
+                }
+            }
+            list.push({ ...ov, src: state.previewOverlays.get(ov.id) });
+        }
+        return list;
+    };
+
+    const getPreviewStickers = async () => {
+        const list = [];
+        for (const st of state.stickers) {
+            if (st.type !== 'image') { list.push({ ...st, src: null }); continue; }
+            if (!state.previewStickers.has(st.id)) {
+                try {
+                    state.previewStickers.set(st.id, await createImageBitmap(st.blob));
+                } catch (err) {
+                    continue;
+                }
+            }
+            list.push({ ...st, src: state.previewStickers.get(st.id) });
+        }
+        return list;
+    };
+
+    const updatePreviewGroups = () => {
+        const select = document.getElementById('previewGroup');
+        const total = Math.ceil(state.images.length / Renderer.groupSize(getRenderOptions()));
+        const current = Math.min(parseInt(select.value) || 0, Math.max(0, total - 1));
+        select.innerHTML = total
+            ? Array.from({ length: total }, (_, g) => `<option value="${g}">第 ${g + 1}/${total} 组</option>`).join('')
+            : '<option value="0">暂无图片</option>';
+        select.value = current;
+    };
+
+    const stepPreviewGroup = (delta) => {
+        const select = document.getElementById('previewGroup');
+        const next = (parseInt(select.value) || 0) + delta;
+        if (next < 0 || next >= select.options.length) return;
+        select.value = next;
+        updatePreview();
+    };
+
+    // 设置频繁变化时合并为一次绘制
+    const updatePreview = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(drawPreview, 120);
+    };
+
+    const drawPreview = async () => {
+        const token = ++previewToken;
+        const cvs = document.getElementById('livePreviewCanvas');
+        const empty = document.getElementById('livePreviewEmpty');
+        updatePreviewGroups();
+
+        const opts = getRenderOptions();
+        const group = parseInt(document.getElementById('previewGroup').value) || 0;
+        const job = buildJobs(opts)[group];
+        cvs.style.display = job ? 'block' : 'none';
+        empty.style.display = job ? 'none' : 'flex';
+        if (!job) return;
+
+        // 预览宽度按容器与设备像素比，离屏绘制完成后一次性拷贝，避免闪烁
+        const layout = Renderer.layoutBatch(job.images, opts);
+        const targetW = Math.min(PREVIEW_MAX_W, (cvs.parentElement.clientWidth || 320) * (window.devicePixelRatio || 1));
+        const buffer = document.createElement('canvas');
+        try {
+            await Renderer.renderBatch(buffer, { ...job, scale: targetW / layout.width }, {
+                load: getPreviewThumb,
+                release: () => {}, // 缩略图缓存复用，不释放
+                progress: () => {},
+                isCancelled: () => token !== previewToken,
+                overlays: await getPreviewOverlays(),
+                background: state.backgroundImg,
+                stickers: await getPreviewStickers()
+            });
+        } catch (err) {
+            if (token !== previewToken) return;
+            console.error(err);
+        }
+        if (token !== previewToken) return;
+        cvs.width = buffer.width;
+        cvs.height = buffer.height;
+        cvs.getContext('2d').drawImage(buffer, 0, 0);
+        trimPreviewThumbs(new Set(job.images.map(i => i.key)));
+    };
+    
+    const enlargePreview = () => {
+        const modal = document.getElementById('previewModal');
+        const img = document.getElementById('enlargedPreviewImg');
+        const canvas = document.getElementById('livePreviewCanvas');
+        if (canvas.style.display === 'none') return;
+        img.src = canvas.toDataURL();
+        modal.style.display = 'flex';
+    };
+
+    // --- 辅助功能 ---
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+    const escapeHTML = (str) => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    
+    const showToast = (show, text) => {
+        const el = document.getElementById('progressToast');
+        if (show) {
+            document.getElementById('progressText').innerText = text;
+            el.classList.remove('-translate-y-[200%]', 'opacity-0', 'pointer-events-none');
+        } else {
+            el.classList.add('-translate-y-[200%]', 'opacity-0', 'pointer-events-none');
+        }
+    };
+
+    const getAspectRatio = () => {
+        const val = document.getElementById('aspectRatio').value;
+        if (val === 'custom') {
+            const w = parseInt(document.getElementById('customW').value) || 1000;
+            const h = parseInt(document.getElementById('customH').value) || 1500;
+            return w / h;
+        }
+        return parseFloat(val);
+    };
+
+    const calculateGroupBatch = () => {
         const cols = parseInt(document.getElementById('cols').value) || 3;
         const rows = parseInt(document.getElementById('group_rows').value) || 3;
-        const qVal = parseInt(document.getElementById('customQ_unified').value) || 50;
-        const quality = qVal / 100;
-        const isPng = qVal === 100;
-        const gap = parseInt(document.getElementById('gap').value) || 0;
+        const total = state.images.length;
+        const hint = document.getElementById('group_hint');
         
-        const batchSize = cols * rows;
-        const totalBatches = Math.ceil(state.images.length / batchSize);
+        if (cols > 0 && rows > 0) {
+            const batchSize = Renderer.groupSize(getRenderOptions());
+            const groups = total > 0 ? Math.ceil(total / batchSize) : 0;
+            hint.innerHTML = `<span class="text-[#007AFF] font-bold">✅ 已就绪:</span> <span>每组 ${batchSize} 张，共 ${groups} 组</span>`;
+        }
+    };
+
+    const toggleCustomRatio = () => {
+        const isCustom = document.getElementById('aspectRatio').value === 'custom';
+        document.getElementById('customRatioBox').style.display = isCustom ? 'flex' : 'none';
+    };
+
+    const toggleFitOptions = () => {
+        const isContain = document.getElementById('fitMode').value === 'contain';
+        const fill = document.getElementById('fitFill').value;
+        document.getElementById('fitFillBox').style.display = isContain ? 'flex' : 'none';
+        document.getElementById('fitFillColor').style.display = fill === 'color' ? 'block' : 'none';
+        document.getElementById('fitFillHint').style.display = fill === 'transparent' ? 'block' : 'none';
+    };
+
+    const toggleBackgroundOptions = () => {
+        const type = document.getElementById('bgType').value;
+        document.getElementById('bgColor2Box').style.display = type === 'gradient' ? 'flex' : 'none';
+        document.getElementById('bgImageBox').style.display = type === 'image' ? 'flex' : 'none';
+    };
+
+    const toggleOutputOptions = () => {
+        const mode = document.getElementById('outputMode').value;
+        document.getElementById('outputWidthBox').style.display = mode === 'width' ? 'flex' : 'none';
+        document.getElementById('outputHeightBox').style.display = mode === 'height' ? 'flex' : 'none';
+        document.getElementById('outputPaperBox').style.display = mode === 'paper' ? 'flex' : 'none';
+    };
+
+    const toggleCustomWeight = () => {
+        const isCustom = document.getElementById('fontWeightSelect').value === 'custom';
+        const box = document.getElementById('customWeightBox');
+        box.style.display = isCustom ? 'block' : 'none';
+    };
+
+    // --- 内容指纹与去重 ---
+    const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+    const sha256 = async (blob) => {
+        const buf = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    // dHash：缩放到 9x8 灰度图，比较相邻像素明暗，得到 64 位十六进制串
+    const perceptualHash = (bmp) => {
+        const cvs = document.createElement('canvas');
+        cvs.width = 9; cvs.height = 8;
+        const ctx = cvs.getContext('2d', { willReadFrequently: true });
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bmp, 0, 0, 9, 8);
+        const px = ctx.getImageData(0, 0, 9, 8).data;
+        const gray = (i) => px[i * 4] * 0.299 + px[i * 4 + 1] * 0.587 + px[i * 4 + 2] * 0.114;
+        let hex = '';
+        for (let y = 0; y < 8; y++) {
+            let nibble = 0;
+            for (let x = 0; x < 8; x++) {
+                nibble = (nibble << 1) | (gray(y * 9 + x) > gray(y * 9 + x + 1) ? 1 : 0);
+                if (x % 4 === 3) { hex += nibble.toString(16); nibble = 0; }
+            }
+        }
+        return hex;
+    };
+
+    const hamming = (a, b) => {
+        let d = 0;
+        for (let i = 0; i < a.length; i++) d += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+        return d;
+    };
+
+    // 导入时一次解码：内容指纹 + 原始尺寸（排版引擎需要宽高比）
+    // 读取 EXIF 方向与拍摄时间；开启隐私保护时入库前清理位置等信息，只保留方向
+    const prepareImport = async (file) => {
+        const strip = document.getElementById('stripExif').checked;
+        // EXIF 位于文件头部 (APP1 段不超过 64KB)，只读取时不必载入整个文件
+        const head = new Uint8Array(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+        const exif = ImageMeta.readExif(head);
+        const meta = { orientation: exif.orientation, taken: exif.taken };
+        // PNG / WebP 的 EXIF / XMP 块可能在文件末尾，需读入整个文件检查
+        const scanAll = file.type === 'image/png' || file.type === 'image/webp';
+        if (!strip || !(exif.hasExif || scanAll)) return { file, meta };
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const clean = ImageMeta.stripExif(bytes, exif.orientation);
+        if (clean === bytes) return { file, meta };
+        return { file: new File([clean], file.name, { type: file.type, lastModified: file.lastModified }), meta };
+    };
 
+    const analyzeImage = async (blob, orientation) => {
+        const info = { hash: await sha256(blob) };
         try {
-            for (let b = 0; b < totalBatches; b++) {
-                if (state.isCancelled) break;
-                
-                showToast(true, `正在生成 ${b + 1}/${totalBatches} 组... (内存整理中)`);
-                await sleep(100); // 强制让出主线程，允许 UI 渲染和 GC
-
-                const batchImgs = state.images.slice(b * batchSize, (b + 1) * batchSize);
-                
-                // 计算画布尺寸
-                const ratio = getAspectRatio();
-                let cellW = 1500; // 基准宽度
-                // 防止画布过大崩溃
-                if (cols * cellW > MAX_CANVAS_DIM) cellW = Math.floor((MAX_CANVAS_DIM - (cols * gap)) / cols);
-                const cellH = Math.floor(cellW / ratio);
-
-                const realCols = cols;
-                const realRows = Math.ceil(batchImgs.length / realCols);
-                
-                canvas.width = realCols * cellW + (realCols - 1) * gap;
-                canvas.height = realRows * cellH + (realRows - 1) * gap;
-                
-                ctx.fillStyle = '#FFFFFF';
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-                // --- 绘制循环 ---
-                for (let i = 0; i < batchImgs.length; i++) {
-                    if (state.isCancelled) throw new Error('Cancelled');
-                    
-                    // 关键性能点：每10张强制暂停，防止浏览器卡死
-                    if (i > 0 && i % 10 === 0) await sleep(20);
-
-                    const imgObj = batchImgs[i];
-                    const r = Math.floor(i / realCols);
-                    const c = i % realCols;
-                    const x = c * (cellW + gap);
-                    const y = r * (cellH + gap);
-
-                    const img = new Image();
-                    img.src = imgObj.url;
-                    
-                    try {
-                        // 关键：等待完全解码，防止黑块
-                        await img.decode();
-                        
-                        // 居中裁剪绘制
-                        ctx.save();
-                        ctx.beginPath();
-                        ctx.rect(x, y, cellW, cellH);
-                        ctx.clip();
-                        
-                        const iRatio = img.width / img.height;
-                        const cRatio = cellW / cellH;
-                        
-                        if (iRatio > cRatio) {
-                            const drawW = cellH * iRatio;
-                            ctx.drawImage(img, x - (drawW - cellW) / 2, y, drawW, cellH);
-                        } else {
-                            const drawH = cellW / iRatio;
-                            ctx.drawImage(img, x, y - (drawH - cellH) / 2, cellW, drawH);
-                        }
-                        ctx.restore();
-                    } catch (err) {
-                        console.error('Image decode failed', err);
-                        // 绘制错误占位符
-                        ctx.fillStyle = '#eee';
-                        ctx.fillRect(x, y, cellW, cellH);
-                        ctx.fillStyle = 'red';
-                        ctx.font = '40px sans-serif';
-                        ctx.fillText('❌', x + cellW/2 - 20, y + cellH/2);
-                    } finally {
-                        // 立即释放内存
-                        img.src = '';
-                    }
+            const bmp = await Renderer.decode(blob, orientation);
+            info.width = bmp.width;
+            info.height = bmp.height;
+            info.phash = perceptualHash(bmp);
+            info.thumb = await makeThumb(bmp);
+            bmp.close();
+        } catch (err) {
+            console.warn('Image analysis failed', err);
+        }
+        return info;
+    };
 
-                    // 绘制序号
-                    drawNumber(ctx, i + (b * batchSize), x, y, cellW, cellH);
-                }
+    // 旧版本导入的记录缺少指纹或尺寸，使用前补算并写回
+    // 无法解码的记录标记为已分析，之后不再重复尝试
+    const ensureImageInfo = async () => {
+        const missing = state.images.filter(img => !img.hash || (!img.width && !img.analyzed));
+        for (let i = 0; i < missing.length; i++) {
+            showToast(true, `正在分析旧图片 ${i + 1}/${missing.length}...`);
+            const { thumb, ...info } = await analyzeImage(missing[i].blob, missing[i].orientation);
+            if (!info.width) Object.assign(info, { width: 0, analyzed: true });
+            Object.assign(missing[i], info);
+            await DB.update(missing[i].id, info);
+            if (thumb && !state.thumbUrls.has(missing[i].id)) await DB.putThumb(missing[i].id, thumb);
+        }
+    };
 
-                // 绘制 Overlay
-                if (state.overlayImg) {
-                    ctx.save();
-                    ctx.globalAlpha = parseFloat(document.getElementById('overlayOpacityRange').value);
-                    ctx.globalCompositeOperation = document.getElementById('overlayMode').value;
-                    ctx.drawImage(state.overlayImg, 0, 0, canvas.width, canvas.height);
-                    ctx.restore();
+    // 按当前顺序扫描，先出现的保留；阈值 0 时只认 SHA-256 完全相同
+    const findDuplicates = () => {
+        const threshold = parseInt(document.getElementById('dupThreshold').value) || 0;
+        const groups = [];
+        const byHash = new Map();
+        state.images.forEach(img => {
+            if (!img.hash) return;
+            let group = byHash.get(img.hash);
+            let match = group ? { img, exact: true, distance: 0 } : null;
+            if (!match && threshold > 0 && img.phash) {
+                for (const g of groups) {
+                    if (!g.keep.phash) continue;
+                    const distance = hamming(g.keep.phash, img.phash);
+                    if (distance <= threshold) { group = g; match = { img, exact: false, distance }; break; }
                 }
+            }
+            if (match) {
+                group.dups.push(match);
+            } else {
+                group = { keep: img, dups: [] };
+                groups.push(group);
+                byHash.set(img.hash, group);
+            }
+        });
+        return groups.filter(g => g.dups.length);
+    };
 
-                // 输出 Blob
-                const blob = await new Promise(r => canvas.toBlob(r, isPng ? 'image/png' : 'image/jpeg', quality));
-                state.generatedBlobs.push(blob);
-                
-                // 添加到结果预览
-                const previewImg = document.createElement('img');
-                previewImg.src = URL.createObjectURL(blob);
-                previewImg.className = "w-full block border-b border-gray-100";
-                container.appendChild(previewImg);
-                
-                // 清理 Canvas 显存
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                canvas.width = 1; canvas.height = 1;
+    const updateDuplicateAlert = () => {
+        const count = findDuplicates().reduce((n, g) => n + g.dups.length, 0);
+        document.getElementById('dupCount').innerText = count;
+        document.getElementById('duplicateAlert').classList.toggle('hidden', count === 0);
+    };
+
+    // --- 图片操作与设置 ---
+    const clearAll = async () => {
+        if(confirm('确定清空当前相册的所有图片？')) {
+            await DB.clear();
+            await refreshImagesFromDB();
+        }
+    };
+    
+    const removeDuplicates = async () => {
+        const groups = findDuplicates();
+        if (!groups.length) return alert('没有发现重复图片');
+        const thumbOf = {};
+        for (const g of groups) {
+            for (const img of [g.keep, ...g.dups.map(d => d.img)]) thumbOf[img.id] = await loadThumb(img);
+        }
+
+        const list = document.getElementById('dupReviewList');
+        list.innerHTML = '';
+        groups.forEach(g => {
+            const row = document.createElement('div');
+            row.className = 'flex gap-2 overflow-x-auto no-scrollbar py-2';
+            row.innerHTML = `
+                <div class="shrink-0 w-16 text-center">
+                    <img src="${thumbOf[g.keep.id]}" class="w-16 h-16 rounded-lg object-cover border-2 border-[#34C759]">
+                    <div class="text-[10px] text-[#34C759] mt-1 font-bold">保留</div>
+                </div>` + g.dups.map(d => `
+                <label class="shrink-0 w-16 text-center cursor-pointer">
+                    <img src="${thumbOf[d.img.id]}" class="w-16 h-16 rounded-lg object-cover border border-gray-200">
+                    <div class="text-[10px] text-gray-500 mt-1 flex items-center justify-center gap-1">
+                        <input type="checkbox" class="dup-check accent-[#FF3B30]" value="${d.img.id}" checked>
+                        ${d.exact ? '相同' : `相似 ${d.distance}`}
+                    </div>
+                </label>`).join('');
+            list.appendChild(row);
+        });
+        document.getElementById('dupReviewModal').style.display = 'flex';
+    };
+
+    const closeDuplicateReview = () => {
+        document.getElementById('dupReviewModal').style.display = 'none';
+    };
+
+    const confirmRemoveDuplicates = async () => {
+        const ids = Array.from(document.querySelectorAll('#dupReviewList .dup-check:checked')).map(el => Number(el.value));
+        closeDuplicateReview();
+        if (!ids.length) return;
+        await DB.deleteMany(ids);
+        removeImages(ids);
+    };
+
+    const openImageActions = (index) => {
+        state.targetIndex = index;
+        document.getElementById('imageActionOverlay').style.display = 'block';
+        setTimeout(() => document.getElementById('imageActionSheet').classList.add('show'), 10);
+    };
+
+    const closeImageActions = () => {
+        document.getElementById('imageActionSheet').classList.remove('show');
+        setTimeout(() => document.getElementById('imageActionOverlay').style.display = 'none', 300);
+    };
+
+    const triggerReplace = () => { document.getElementById('replaceInput').click(); closeImageActions(); };
+    const triggerDelete = async () => {
+        if (state.targetIndex > -1) {
+            const img = state.images[state.targetIndex];
+            await DB.delete(img.id);
+            removeImages([img.id]);
+        }
+        closeImageActions();
+    };
+    
+    const handleReplaceAction = async (files) => {
+        if (files.length && state.targetIndex > -1) {
+            // 原位替换，保持在网格中的位置
+            const oldImg = state.images[state.targetIndex];
+            // 新图片的构图与色调与旧图无关，清掉裁剪焦点与调整
+            const { file, meta } = await prepareImport(files[0]);
+            const { thumb, ...info } = await analyzeImage(file, meta.orientation);
+            const patch = { ...meta, ...info, crop: null, adjust: null, name: file.name, created: Date.now() };
+            await DB.replace(oldImg.id, file, patch, thumb);
+            // 只更新这一张：换掉记录字段与缩略图，格子会在 renderGrid 中重建
+            Object.assign(oldImg, patch, { blob: file });
+            dropThumb(oldImg.id);
+            afterImagesChanged();
+        }
+        document.getElementById('replaceInput').value = '';
+    };
+
+    // --- 图片说明 ---
+    const editCaption = async () => {
+        const img = state.images[state.targetIndex];
+        closeImageActions();
+        if (!img) return;
+        const text = prompt('图片说明（在「图片说明」选择“手动填写”时显示）', img.caption || '');
+        if (text === null) return;
+        img.caption = text.trim();
+        await DB.update(img.id, { caption: img.caption });
+    };
+
+    // --- 裁剪编辑器 ---
+    const openCropEditor = async () => {
+        const img = state.images[state.targetIndex];
+        closeImageActions();
+        if (!img) return;
+
+        // 编辑框与该图所在格子同比例，过高时按高度收缩
+        const ratio = getCellRatio(state.targetIndex);
+        let frameW = Math.min(window.innerWidth * 0.8, 320);
+        let frameH = frameW / ratio;
+        const maxH = window.innerHeight * 0.5;
+        if (frameH > maxH) { frameH = maxH; frameW = frameH * ratio; }
+        const frame = document.getElementById('cropFrame');
+        frame.style.width = `${frameW}px`;
+        frame.style.height = `${frameH}px`;
+
+        const crop = img.crop || { x: 0.5, y: 0.5, zoom: 1 };
+        state.cropSession = { id: img.id, x: crop.x, y: crop.y, zoom: crop.zoom, frameW, frameH, natW: 0, natH: 0 };
+        document.getElementById('cropZoom').value = crop.zoom;
+
+        const el = document.getElementById('cropImg');
+        el.onload = () => {
+            if (!state.cropSession) return;
+            state.cropSession.natW = el.naturalWidth;
+            state.cropSession.natH = el.naturalHeight;
+            layoutCropImage();
+        };
+        // 裁剪需要原图，仅在编辑期间创建 URL；旋转或翻转过的图按调整后的方向显示
+        const session = state.cropSession;
+        let source = img.blob;
+        if (Renderer.hasGeometry(img.adjust)) {
+            showToast(true, '正在加载原图...');
+            try {
+                const bmp = await Renderer.decode(img.blob, img.orientation);
+                const { rotate, flipH, flipV } = img.adjust;
+                const cvs = Renderer.adjustSource(bmp, { rotate, flipH, flipV });
+                bmp.close();
+                source = await Renderer.toBlob(cvs, 'image/jpeg', 0.92);
+                cvs.width = cvs.height = 0;
+            } catch (err) {
+                console.error(err);
+            } finally {
+                showToast(false);
             }
+            if (state.cropSession !== session) return;
+        }
+        session.url = URL.createObjectURL(source);
+        el.src = session.url;
+        document.getElementById('cropEditorModal').style.display = 'flex';
+    };
 
-            resultArea.classList.remove('hidden');
-            resultArea.scrollIntoView({ behavior: 'smooth' });
-        } catch (e) {
-            console.error(e);
-            if (!state.isCancelled) alert('生成出错: ' + e.message);
+    // 图片在当前排版中所在格子的宽高比（跨格大图与普通格不同）
+    const getCellRatio = (index) => {
+        const opts = getRenderOptions();
+        const size = Renderer.groupSize(opts);
+        const job = buildJobs(opts)[Math.floor(index / size)];
+        const layout = Renderer.layoutBatch(job ? job.images : [], opts);
+        const cell = layout.cells[index % size];
+        return cell && cell.h ? cell.w / cell.h : opts.ratio;
+    };
+
+    const layoutCropImage = () => {
+        const s = state.cropSession;
+        if (!s || !s.natW) return;
+        const r = Renderer.coverRect(s.natW, s.natH, { x: 0, y: 0, w: s.frameW, h: s.frameH }, s);
+        // 回写被边界修正后的实际焦点，避免拖出边界后“回不来”
+        s.x = (s.frameW / 2 - r.x) / r.w;
+        s.y = (s.frameH / 2 - r.y) / r.h;
+        const el = document.getElementById('cropImg');
+        el.style.left = `${r.x}px`;
+        el.style.top = `${r.y}px`;
+        el.style.width = `${r.w}px`;
+        el.style.height = `${r.h}px`;
+    };
+
+    const setCropZoom = (zoom) => {
+        if (!state.cropSession) return;
+        state.cropSession.zoom = Math.min(CROP_MAX_ZOOM, Math.max(1, zoom));
+        document.getElementById('cropZoom').value = state.cropSession.zoom;
+        layoutCropImage();
+    };
+
+    const resetCrop = () => {
+        if (!state.cropSession) return;
+        Object.assign(state.cropSession, { x: 0.5, y: 0.5 });
+        setCropZoom(1);
+    };
+
+    const closeCropEditor = () => {
+        if (state.cropSession) URL.revokeObjectURL(state.cropSession.url);
+        state.cropSession = null;
+        document.getElementById('cropEditorModal').style.display = 'none';
+        document.getElementById('cropImg').removeAttribute('src');
+    };
+
+    const saveCrop = async () => {
+        const s = state.cropSession;
+        if (!s) return;
+        const isDefault = s.zoom === 1 && Math.abs(s.x - 0.5) < 0.001 && Math.abs(s.y - 0.5) < 0.001;
+        const crop = isDefault ? null : { x: s.x, y: s.y, zoom: s.zoom };
+        await DB.update(s.id, { crop });
+        const img = state.images.find(i => i.id === s.id);
+        if (img) img.crop = crop;
+        closeCropEditor();
+        updatePreview();
+    };
+
+    // 拖动平移、双指/滚轮缩放
+    const setupCropEditor = () => {
+        const frame = document.getElementById('cropFrame');
+        const pointers = new Map();
+        let pinchDist = 0, pinchZoom = 1;
+        const distance = () => {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+        };
+
+        frame.addEventListener('pointerdown', (e) => {
+            frame.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size === 2 && state.cropSession) {
+                pinchDist = distance();
+                pinchZoom = state.cropSession.zoom;
+            }
+        });
+        frame.addEventListener('pointermove', (e) => {
+            const s = state.cropSession;
+            if (!s || !s.natW || !pointers.has(e.pointerId)) return;
+            const prev = pointers.get(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size >= 2) return setCropZoom(pinchZoom * distance() / pinchDist);
+
+            const r = Renderer.coverRect(s.natW, s.natH, { x: 0, y: 0, w: s.frameW, h: s.frameH }, s);
+            s.x -= (e.clientX - prev.x) / r.w;
+            s.y -= (e.clientY - prev.y) / r.h;
+            layoutCropImage();
+        });
+        const release = (e) => pointers.delete(e.pointerId);
+        frame.addEventListener('pointerup', release);
+        frame.addEventListener('pointercancel', release);
+        frame.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            if (state.cropSession) setCropZoom(state.cropSession.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+        }, { passive: false });
+    };
+
+    // --- 相册素材：背景图与覆盖层 (存于 assets，随相册切换) ---
+    const refreshAssetsFromDB = async () => {
+        const assets = await DB.getAllFrom('assets', state.albumId);
+        state.overlays = assets.filter(a => a.kind === 'overlay');
+        // 预览解码缓存中移除已删除或已切换相册的覆盖层
+        const ids = new Set(state.overlays.map(ov => ov.id));
+        state.previewOverlays.forEach((bmp, id) => {
+            if (ids.has(id)) return;
+            bmp.close();
+            state.previewOverlays.delete(id);
+        });
+        if (!ids.has(state.activeOverlayId)) state.activeOverlayId = null;
+        renderOverlayList();
+
+        const bg = assets.find(a => a.kind === 'background') || null;
+        if (state.background && bg && state.background.id === bg.id) return updatePreview();
+        if (state.backgroundImg) state.backgroundImg.close();
+        state.background = bg;
+        state.backgroundImg = null;
+        if (bg) {
+            try {
+                state.backgroundImg = await Renderer.decode(bg.blob);
+            } catch (err) {
+                console.warn('Background decode failed', err);
+            }
+        }
+        document.getElementById('bgImageName').innerText = bg ? bg.name : '未选择';
+        document.getElementById('bgImageClear').style.display = bg ? 'block' : 'none';
+        updatePreview();
+    };
+
+    const handleBackgroundFile = async (files) => {
+        document.getElementById('bgImageInput').value = '';
+        if (!files.length) return;
+        try {
+            // 每个相册只保留一张背景图
+            if (state.background) await DB.remove('assets', state.background.id);
+            await DB.put('assets', { albumId: state.albumId, kind: 'background', name: files[0].name, blob: files[0] });
+        } catch (err) {
+            console.error(err);
+            return alert(isQuotaError(err) ? '存储空间不足，无法保存背景图' : '保存背景图失败: ' + err.message);
+        }
+        document.getElementById('bgType').value = 'image';
+        toggleBackgroundOptions();
+        saveSettings();
+        await refreshAssetsFromDB();
+    };
+
+    const clearBackground = async () => {
+        if (!state.background) return;
+        await DB.remove('assets', state.background.id);
+        await refreshAssetsFromDB();
+    };
+
+    // --- 色彩与方向调整 (非破坏，参数存于记录，渲染时应用) ---
+    const ADJUST_SLIDERS = ['brightness', 'contrast', 'saturation', 'temperature'];
+    const emptyAdjust = () => ({ brightness: 0, contrast: 0, saturation: 0, temperature: 0, rotate: 0, flipH: false, flipV: false, levels: null });
+    const isDefaultAdjust = (a) => !Renderer.hasGeometry(a) && !a.levels && ADJUST_SLIDERS.every(k => !a[k]);
+
+    const openAdjustEditor = async () => {
+        const img = state.images[state.targetIndex];
+        closeImageActions();
+        if (!img) return;
+        showToast(true, '正在加载原图...');
+        let base;
+        try {
+            // 在缩小图上预览，保存后由渲染器作用于原图
+            const bmp = await Renderer.decode(img.blob, img.orientation);
+            const k = Math.min(1, ADJUST_PREVIEW_SIZE / Math.max(bmp.width, bmp.height));
+            base = Renderer.createCanvas(Math.max(1, Math.round(bmp.width * k)), Math.max(1, Math.round(bmp.height * k)));
+            const ctx = base.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(bmp, 0, 0, base.width, base.height);
+            bmp.close();
+        } catch (err) {
+            console.error(err);
+            return alert('图片无法解码');
         } finally {
             showToast(false);
         }
+        state.adjustSession = { id: img.id, base, adjust: { ...emptyAdjust(), ...img.adjust } };
+        syncAdjustControls();
+        drawAdjustPreview();
+        document.getElementById('adjustModal').style.display = 'flex';
     };
 
-    // --- 序号绘制逻辑 ---
-    const drawNumber = (ctx, index, x, y, w, h) => {
-        if (!document.getElementById('showNum').checked) return;
-        
-        const startNum = parseInt(document.getElementById('startNumber').value) || 1;
-        const num = startNum + index;
-        
-        // 动态计算字体大小 (基于宽度)
-        const baseSize = 350; // 原基准
-        const scale = w / 1500; // 缩放比例
-        const fontSize = baseSize * scale; 
-        
-        const family = document.getElementById('fontFamily').value;
-        const weightRaw = document.getElementById('fontWeightSelect').value;
-        let weight = weightRaw === 'custom' ? document.getElementById('customWeightRange').value : weightRaw;
-        
-        ctx.save();
-        ctx.font = `${weight} ${fontSize}px ${family}`;
-        ctx.fillStyle = document.getElementById('fontColor').value;
-        ctx.globalAlpha = parseInt(document.getElementById('fontOpacity').value) / 100;
-        
-        // 位置计算
-        const pos = document.getElementById('fontPos').value;
-        let tx = x + w / 2, ty = y + h / 2;
-        const pad = 40 * scale;
-        
-        if (pos.includes('bottom')) ty = y + h - pad;
-        else if (pos.includes('top')) {
-            ctx.textBaseline = 'top';
-            ty = y + pad;
-        } else {
-            ctx.textBaseline = 'middle';
+    const syncAdjustControls = () => {
+        const a = state.adjustSession.adjust;
+        ADJUST_SLIDERS.forEach(k => {
+            document.getElementById(`adjust_${k}`).value = a[k];
+            document.getElementById(`adjust_${k}_val`).innerText = a[k] > 0 ? `+${a[k]}` : a[k];
+        });
+        document.getElementById('autoLevelsBtn').classList.toggle('active', !!a.levels);
+        document.getElementById('flipHBtn').classList.toggle('active', a.flipH);
+        document.getElementById('flipVBtn').classList.toggle('active', a.flipV);
+    };
+
+    // 滑块拖动时合并到下一帧绘制
+    let adjustFrame = 0;
+    const drawAdjustPreview = () => {
+        if (adjustFrame) return;
+        adjustFrame = requestAnimationFrame(() => {
+            adjustFrame = 0;
+            const s = state.adjustSession;
+            if (!s) return;
+            const out = Renderer.adjustSource(s.base, s.adjust);
+            const cvs = document.getElementById('adjustCanvas');
+            cvs.width = out.width;
+            cvs.height = out.height;
+            cvs.getContext('2d').drawImage(out, 0, 0);
+            if (out !== s.base) out.width = out.height = 0;
+        });
+    };
+
+    const setAdjust = (key, value) => {
+        if (!state.adjustSession) return;
+        state.adjustSession.adjust[key] = parseInt(value) || 0;
+        syncAdjustControls();
+        drawAdjustPreview();
+    };
+
+    const rotateAdjust = (deg) => {
+        if (!state.adjustSession) return;
+        const a = state.adjustSession.adjust;
+        a.rotate = ((a.rotate + deg) % 360 + 360) % 360;
+        drawAdjustPreview();
+    };
+
+    const flipAdjust = (axis) => {
+        if (!state.adjustSession) return;
+        const a = state.adjustSession.adjust;
+        if (axis === 'h') a.flipH = !a.flipH;
+        else a.flipV = !a.flipV;
+        syncAdjustControls();
+        drawAdjustPreview();
+    };
+
+    // 自动色阶按各通道拉伸，同时校正偏色
+    const toggleAutoLevels = () => {
+        const s = state.adjustSession;
+        if (!s) return;
+        s.adjust.levels = s.adjust.levels ? null : Renderer.measureLevels(s.base);
+        syncAdjustControls();
+        drawAdjustPreview();
+    };
+
+    const resetAdjust = () => {
+        if (!state.adjustSession) return;
+        state.adjustSession.adjust = emptyAdjust();
+        syncAdjustControls();
+        drawAdjustPreview();
+    };
+
+    const closeAdjustEditor = () => {
+        const s = state.adjustSession;
+        if (s) s.base.width = s.base.height = 0;
+        state.adjustSession = null;
+        document.getElementById('adjustModal').style.display = 'none';
+    };
+
+    // 旋转或翻转改变了画面方向，原裁剪焦点不再适用
+    const adjustPatch = (img, next) => {
+        const adjust = isDefaultAdjust(next) ? null : next;
+        const prev = { ...emptyAdjust(), ...(img && img.adjust) };
+        const geometryChanged = prev.rotate !== next.rotate || prev.flipH !== next.flipH || prev.flipV !== next.flipV;
+        return geometryChanged ? { adjust, crop: null } : { adjust };
+    };
+
+    const saveAdjust = async () => {
+        const s = state.adjustSession;
+        if (!s) return;
+        const img = state.images.find(i => i.id === s.id);
+        const patch = adjustPatch(img, s.adjust);
+        try {
+            await DB.update(s.id, patch);
+        } catch (err) {
+            console.error(err);
+            return alert('保存失败: ' + err.message);
+        }
+        if (img) Object.assign(img, patch);
+        closeAdjustEditor();
+        afterImagesChanged();
+    };
+
+    // 把当前的色彩参数套用到全部图片；方向各图不同，不复制
+    // 开启了自动色阶时，每张图按各自的直方图重新计算
+    const applyAdjustToAll = async () => {
+        const s = state.adjustSession;
+        if (!s) return;
+        if (!confirm(`将当前的色彩调整应用到全部 ${state.images.length} 张图片？（旋转与翻转不会复制）`)) return;
+        const color = {};
+        ADJUST_SLIDERS.forEach(k => { color[k] = s.adjust[k]; });
+        const auto = !!s.adjust.levels;
+        const targetId = s.id;
+        const targetAdjust = s.adjust;
+        closeAdjustEditor();
+        let failed = 0;
+        try {
+            for (let i = 0; i < state.images.length; i++) {
+                if (i % 5 === 0) showToast(true, `正在应用调整 ${i + 1}/${state.images.length}...`);
+                const img = state.images[i];
+                const next = img.id === targetId
+                    ? { ...targetAdjust }
+                    : { ...emptyAdjust(), ...img.adjust, ...color, levels: null };
+                if (auto && img.id !== targetId) {
+                    try {
+                        next.levels = Renderer.measureLevels(await getPreviewThumb({ key: `${img.id}:${img.hash || ''}`, blob: img.blob, orientation: img.orientation }));
+                    } catch (err) {
+                        console.warn('Levels failed', err);
+                        failed++;
+                    }
+                }
+                const patch = adjustPatch(img, next);
+                await DB.update(img.id, patch);
+                Object.assign(img, patch);
+            }
+        } catch (err) {
+            console.error(err);
+            alert('应用失败: ' + err.message);
+        } finally {
+            showToast(false);
+        }
+        if (failed) alert(`${failed} 张图片无法解码，未应用自动色阶`);
+        afterImagesChanged();
+    };
+
+    // --- 覆盖层 ---
+    const OVERLAY_DEFAULTS = { fit: 'stretch', scope: 'canvas', mode: 'source-over', opacity: 1, groups: '' };
+
+    const handleOverlayFile = async (files) => {
+        document.getElementById('overlayInput').value = '';
+        if (!files.length) return;
+        let id = null;
+        try {
+            for (const file of Array.from(files)) {
+                id = await DB.put('assets', { ...OVERLAY_DEFAULTS, albumId: state.albumId, kind: 'overlay', name: file.name, blob: file });
+            }
+        } catch (err) {
+            console.error(err);
+            alert(isQuotaError(err) ? '存储空间不足，无法保存覆盖层' : '保存覆盖层失败: ' + err.message);
         }
-        
-        if (pos.includes('left')) { ctx.textAlign = 'left'; tx = x + pad; }
-        else if (pos.includes('right')) { ctx.textAlign = 'right'; tx = x + w - pad; }
-        else { ctx.textAlign = 'center'; }
+        if (id !== null) state.activeOverlayId = id;
+        await refreshAssetsFromDB();
+    };
 
-        // 描边
-        if (document.getElementById('enableStroke').checked) {
-            ctx.strokeStyle = document.getElementById('fontStrokeColor').value;
-            ctx.lineWidth = fontSize * 0.05;
-            ctx.lineJoin = 'round';
-            ctx.strokeText(num, tx, ty);
-        }
-        
-        ctx.fillText(num, tx, ty);
-        ctx.restore();
+    const selectOverlay = (id) => {
+        flushOverlaySave();
+        state.activeOverlayId = state.activeOverlayId === id ? null : id;
+        renderOverlayList();
     };
 
-    // --- 实时预览逻辑 ---
-    const updateNumberPreview = () => {
-        const cvs = document.getElementById('numPreviewCanvas');
-        const ctx = cvs.getContext('2d');
-        const w = cvs.width, h = cvs.height;
-        
-        // 背景
-        ctx.fillStyle = '#eee';
-        ctx.fillRect(0, 0, w, h);
-        if (state.images.length > 0) {
-            // 尝试绘制第一张图作为背景
-            const img = new Image();
-            img.src = state.images[0].url;
-            // 简单处理，不等待加载，如果是缓存的就能显示，否则下次更新显示
-            if (img.complete) ctx.drawImage(img, 0, 0, w, h);
-        }
-        
-        // 复用绘制逻辑，但需要模拟参数
-        if (document.getElementById('showNum').checked) {
-            // 临时覆盖 getElementById 获取上下文中的值
-            // 这里我们手动实现一个简单的预览绘制，逻辑复用有点复杂因为 scale 不同
-            
-            const startNum = document.getElementById('startNumber').value || 1;
-            const family = document.getElementById('fontFamily').value;
-            const weightRaw = document.getElementById('fontWeightSelect').value;
-            let weight = weightRaw === 'custom' ? document.getElementById('customWeightRange').value : weightRaw;
-            
-            const fontSize = 60; // 预览固定大小
-            
-            ctx.save();
-            ctx.font = `${weight} ${fontSize}px ${family}`;
-            ctx.fillStyle = document.getElementById('fontColor').value;
-            ctx.globalAlpha = parseInt(document.getElementById('fontOpacity').value) / 100;
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            
-            if (document.getElementById('enableStroke').checked) {
-                ctx.strokeStyle = document.getElementById('fontStrokeColor').value;
-                ctx.lineWidth = 3;
-                ctx.strokeText(startNum, w/2, h/2);
-            }
-            
-            ctx.fillText(startNum, w/2, h/2);
-            ctx.restore();
-        }
+    const renderOverlayList = () => {
+        state.overlayUrls.forEach(url => URL.revokeObjectURL(url));
+        state.overlayUrls.clear();
+
+        const list = document.getElementById('overlayList');
+        list.innerHTML = '';
+        state.overlays.forEach(ov => {
+            const item = document.createElement('button');
+            const active = ov.id === state.activeOverlayId;
+            item.className = `shrink-0 w-14 h-14 rounded-lg border-2 overflow-hidden bg-gray-100 flex items-center justify-center ${active ? 'border-[#007AFF]' : 'border-transparent'}`;
+            const url = URL.createObjectURL(ov.blob);
+            state.overlayUrls.set(ov.id, url);
+            item.innerHTML = `<img src="${url}" class="w-full h-full object-contain">`;
+            item.title = ov.name;
+            item.onclick = () => selectOverlay(ov.id);
+            list.appendChild(item);
+        });
+        document.getElementById('overlayEmpty').style.display = state.overlays.length ? 'none' : 'block';
+
+        // 编辑面板
+        const ov = state.overlays.find(x => x.id === state.activeOverlayId);
+        document.getElementById('overlayEditor').style.display = ov ? 'block' : 'none';
+        if (!ov) return;
+        document.getElementById('overlayFit').value = ov.fit;
+        document.getElementById('overlayScope').value = ov.scope;
+        document.getElementById('overlayMode').value = ov.mode;
+        document.getElementById('overlayOpacity').value = Math.round(ov.opacity * 100);
+        document.getElementById('overlayGroups').value = ov.groups;
     };
-    
-    const enlargeNumberPreview = () => {
-        const modal = document.getElementById('previewModal');
-        const img = document.getElementById('enlargedPreviewImg');
-        const canvas = document.getElementById('numPreviewCanvas');
-        img.src = canvas.toDataURL();
-        modal.style.display = 'flex';
+
+    let overlaySaveTimer = null;
+    let pendingOverlay = null;
+
+    const saveOverlay = (ov) => DB.put('assets', ov).catch((err) => {
+        console.error(err);
+        alert(isQuotaError(err) ? '存储空间不足，覆盖层设置未保存' : '保存覆盖层失败: ' + err.message);
+    });
+
+    // 切换选中或相册前立即写入尚未落库的修改
+    const flushOverlaySave = () => {
+        clearTimeout(overlaySaveTimer);
+        if (pendingOverlay) saveOverlay(pendingOverlay);
+        pendingOverlay = null;
     };
 
-    // --- 辅助功能 ---
-    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-    
-    const showToast = (show, text) => {
-        const el = document.getElementById('progressToast');
-        if (show) {
-            document.getElementById('progressText').innerText = text;
-            el.classList.remove('-translate-y-[200%]', 'opacity-0', 'pointer-events-none');
-        } else {
-            el.classList.add('-translate-y-[200%]', 'opacity-0', 'pointer-events-none');
-        }
+    const updateOverlay = () => {
+        const ov = state.overlays.find(x => x.id === state.activeOverlayId);
+        if (!ov) return;
+        ov.fit = document.getElementById('overlayFit').value;
+        ov.scope = document.getElementById('overlayScope').value;
+        ov.mode = document.getElementById('overlayMode').value;
+        ov.opacity = parseInt(document.getElementById('overlayOpacity').value) / 100;
+        ov.groups = document.getElementById('overlayGroups').value.trim();
+        // 滑动时频繁触发，延迟写库
+        clearTimeout(overlaySaveTimer);
+        pendingOverlay = ov;
+        overlaySaveTimer = setTimeout(flushOverlaySave, 300);
+        updatePreview();
     };
 
-    const getAspectRatio = () => {
-        const val = document.getElementById('aspectRatio').value;
-        if (val === 'custom') {
-            const w = parseInt(document.getElementById('customW').value) || 1000;
-            const h = parseInt(document.getElementById('customH').value) || 1500;
-            return w / h;
-        }
-        return parseFloat(val);
+    const deleteOverlay = async () => {
+        if (state.activeOverlayId === null) return;
+        // 丢弃待写入的修改，否则延迟的 put 会把已删除的记录写回
+        clearTimeout(overlaySaveTimer);
+        pendingOverlay = null;
+        await DB.remove('assets', state.activeOverlayId);
+        state.activeOverlayId = null;
+        await refreshAssetsFromDB();
     };
 
-    const calculateGroupBatch = () => {
-        const cols = parseInt(document.getElementById('cols').value) || 3;
-        const rows = parseInt(document.getElementById('group_rows').value) || 3;
-        const total = state.images.length;
-        const hint = document.getElementById('group_hint');
-        
-        if (cols > 0 && rows > 0) {
-            const batchSize = cols * rows;
-            const groups = total > 0 ? Math.ceil(total / batchSize) : 0;
-            hint.innerHTML = `<span class="text-[#007AFF] font-bold">✅ 已就绪:</span> <span>每组 ${batchSize} 张，共 ${groups} 组</span>`;
-        }
+    // --- 贴纸与文字水印 ---
+    const refreshStickersFromDB = async () => {
+        state.stickers = await DB.getAllFrom('stickers', state.albumId);
+        // 预览解码缓存中移除已删除或已切换相册的贴纸
+        const ids = new Set(state.stickers.map(st => st.id));
+        state.previewStickers.forEach((bmp, id) => {
+            if (ids.has(id)) return;
+            bmp.close();
+            state.previewStickers.delete(id);
+        });
+        renderStickerList();
+        updatePreview();
     };
 
-    const toggleCustomRatio = () => {
-        const isCustom = document.getElementById('aspectRatio').value === 'custom';
-        document.getElementById('customRatioBox').style.display = isCustom ? 'flex' : 'none';
+    const handleStickerFile = async (files) => {
+        if (!files.length) return;
+        let id = null;
+        for (const file of Array.from(files)) {
+            id = await DB.put('stickers', {
+                albumId: state.albumId, type: 'image', name: file.name, blob: file,
+                scope: 'canvas', pos: 'bottom-right', scale: 0.2, rotation: 0, opacity: 0.9, tile: false
+            });
+        }
+        document.getElementById('stickerInput').value = '';
+        state.activeStickerId = id;
+        await refreshStickersFromDB();
     };
 
-    const toggleCustomWeight = () => {
-        const isCustom = document.getElementById('fontWeightSelect').value === 'custom';
-        const box = document.getElementById('customWeightBox');
-        box.style.display = isCustom ? 'block' : 'none';
+    const addTextSticker = async () => {
+        const text = prompt('水印文字', '');
+        if (!text) return;
+        state.activeStickerId = await DB.put('stickers', {
+            albumId: state.albumId, type: 'text', name: text, text, color: '#FFFFFF',
+            scope: 'canvas', pos: 'center', scale: 0.4, rotation: -30, opacity: 0.3, tile: false
+        });
+        await refreshStickersFromDB();
     };
 
-    // --- 图片操作与设置 ---
-    const clearAll = async () => {
-        if(confirm('确定清空所有图片？')) {
-            await DB.clear();
-            await refreshImagesFromDB();
-        }
+    const selectSticker = (id) => {
+        flushStickerSave();
+        state.activeStickerId = state.activeStickerId === id ? null : id;
+        renderStickerList();
     };
-    
-    const removeDuplicates = async () => {
-        // 简单去重：同名判断
-        const seen = new Set();
-        const keepIds = [];
-        const deleteIds = [];
-        
-        state.images.forEach(img => {
-            if (seen.has(img.name)) deleteIds.push(img.id);
-            else {
-                seen.add(img.name);
-                keepIds.push(img.id);
+
+    const renderStickerList = () => {
+        state.stickerUrls.forEach(url => URL.revokeObjectURL(url));
+        state.stickerUrls.clear();
+
+        const list = document.getElementById('stickerList');
+        list.innerHTML = '';
+        state.stickers.forEach(st => {
+            const item = document.createElement('button');
+            const active = st.id === state.activeStickerId;
+            item.className = `shrink-0 w-14 h-14 rounded-lg border-2 overflow-hidden bg-gray-100 flex items-center justify-center ${active ? 'border-[#007AFF]' : 'border-transparent'}`;
+            if (st.type === 'image') {
+                const url = URL.createObjectURL(st.blob);
+                state.stickerUrls.set(st.id, url);
+                item.innerHTML = `<img src="${url}" class="w-full h-full object-contain">`;
+            } else {
+                item.innerHTML = `<span class="text-[11px] font-bold text-gray-600 px-1 truncate">${escapeHTML(st.text)}</span>`;
             }
+            item.onclick = () => selectSticker(st.id);
+            list.appendChild(item);
         });
-        
-        for (let id of deleteIds) DB.delete(id);
-        await refreshImagesFromDB();
-    };
+        document.getElementById('stickerEmpty').style.display = state.stickers.length ? 'none' : 'block';
 
-    const openImageActions = (index) => {
-        state.targetIndex = index;
-        document.getElementById('imageActionOverlay').style.display = 'block';
-        setTimeout(() => document.getElementById('imageActionSheet').classList.add('show'), 10);
+        // 编辑面板
+        const st = state.stickers.find(x => x.id === state.activeStickerId);
+        document.getElementById('stickerEditor').style.display = st ? 'block' : 'none';
+        if (!st) return;
+        document.getElementById('stickerTextBox').style.display = st.type === 'text' ? 'flex' : 'none';
+        if (st.type === 'text') {
+            document.getElementById('stickerText').value = st.text;
+            document.getElementById('stickerColor').value = st.color;
+        }
+        document.getElementById('stickerScope').value = st.scope;
+        document.getElementById('stickerPos').value = st.pos;
+        document.getElementById('stickerScale').value = Math.round(st.scale * 100);
+        document.getElementById('stickerRotation').value = st.rotation;
+        document.getElementById('stickerOpacity').value = Math.round(st.opacity * 100);
+        document.getElementById('stickerTile').checked = st.tile;
     };
 
-    const closeImageActions = () => {
-        document.getElementById('imageActionSheet').classList.remove('show');
-        setTimeout(() => document.getElementById('imageActionOverlay').style.display = 'none', 300);
+    let stickerSaveTimer = null;
+    let pendingSticker = null;
+
+    const saveSticker = (st) => DB.put('stickers', st).catch((err) => {
+        console.error(err);
+        alert(isQuotaError(err) ? '存储空间不足，贴纸设置未保存' : '保存贴纸失败: ' + err.message);
+    });
+
+    // 切换选中或相册前立即写入尚未落库的修改
+    const flushStickerSave = () => {
+        clearTimeout(stickerSaveTimer);
+        if (pendingSticker) saveSticker(pendingSticker);
+        pendingSticker = null;
     };
 
-    const triggerReplace = () => { document.getElementById('replaceInput').click(); closeImageActions(); };
-    const triggerDelete = async () => {
-        if (state.targetIndex > -1) {
-            const img = state.images[state.targetIndex];
-            DB.delete(img.id);
-            await refreshImagesFromDB();
+    const updateSticker = () => {
+        const st = state.stickers.find(x => x.id === state.activeStickerId);
+        if (!st) return;
+        if (st.type === 'text') {
+            st.text = document.getElementById('stickerText').value;
+            st.name = st.text;
+            st.color = document.getElementById('stickerColor').value;
         }
-        closeImageActions();
+        st.scope = document.getElementById('stickerScope').value;
+        st.pos = document.getElementById('stickerPos').value;
+        st.scale = parseInt(document.getElementById('stickerScale').value) / 100;
+        st.rotation = parseInt(document.getElementById('stickerRotation').value) || 0;
+        st.opacity = parseInt(document.getElementById('stickerOpacity').value) / 100;
+        st.tile = document.getElementById('stickerTile').checked;
+        // 滑动时频繁触发，延迟写库
+        clearTimeout(stickerSaveTimer);
+        pendingSticker = st;
+        stickerSaveTimer = setTimeout(flushStickerSave, 300);
+        updatePreview();
     };
-    
-    const handleReplaceAction = async (files) => {
-        if (files.length && state.targetIndex > -1) {
-            // 删除旧的，插入新的（IDB不支持直接替换特定位置，只能删再加，顺序会变到最后，这里简化处理）
-            // 完美方案需要IDB支持排序字段。这里为了从简，我们只删旧的，加新的到最后。
-            const oldImg = state.images[state.targetIndex];
-            DB.delete(oldImg.id);
-            await DB.addImages([files[0]]);
-            await refreshImagesFromDB();
+
+    const deleteSticker = async () => {
+        if (state.activeStickerId === null) return;
+        // 丢弃未落库的修改，否则延迟写入会把删掉的贴纸写回来
+        clearTimeout(stickerSaveTimer);
+        pendingSticker = null;
+        await DB.remove('stickers', state.activeStickerId);
+        state.activeStickerId = null;
+        await refreshStickersFromDB();
+    };
+
+    // --- 工程导入导出 ---
+    // ZIP 结构：manifest.json + images/ + stickers/ + overlays/ + assets/
+    const safeFileName = (name) => String(name || 'file').replace(/[\\/:*?"<>|]/g, '_');
+
+    const exportProject = async () => {
+        const records = await DB.getAll();
+        if (!records.length && !state.stickers.length) return alert('工作区为空，无需导出');
+        showToast(true, '正在打包工程...');
+        try {
+            const zip = new JSZip();
+            const manifest = {
+                app: PROJECT_APP,
+                version: PROJECT_VERSION,
+                exported: new Date().toISOString(),
+                settings: readSettings(),
+                images: [],
+                stickers: [],
+                overlays: [],
+                background: null
+            };
+            // id、blob、albumId 不进 manifest，其余字段（顺序、裁剪、指纹等）原样保留
+            records.forEach((r, i) => {
+                const { id, blob, albumId, ...meta } = r;
+                const file = `images/${String(i + 1).padStart(4, '0')}_${safeFileName(r.name)}`;
+                zip.file(file, blob);
+                manifest.images.push({ ...meta, file, type: blob.type });
+            });
+            state.stickers.forEach((st, i) => {
+                const { id, blob, albumId, ...meta } = st;
+                const entry = { ...meta, file: null };
+                if (blob) {
+                    entry.file = `stickers/${i + 1}_${safeFileName(st.name)}`;
+                    // type 是贴纸自身的类别 (image / text)，MIME 另存
+                    entry.mime = blob.type;
+                    zip.file(entry.file, blob);
+                }
+                manifest.stickers.push(entry);
+            });
+            state.overlays.forEach((ov, i) => {
+                const { id, blob, albumId, kind, ...meta } = ov;
+                const file = `overlays/${i + 1}_${safeFileName(ov.name)}`;
+                zip.file(file, blob);
+                manifest.overlays.push({ ...meta, file, type: blob.type });
+            });
+            if (state.background) {
+                const { name, blob } = state.background;
+                manifest.background = { file: `assets/background_${safeFileName(name)}`, name, type: blob.type };
+                zip.file(manifest.background.file, blob);
+            }
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+            const content = await zip.generateAsync({ type: 'blob' }, (meta) => {
+                showToast(true, `正在打包工程 ${Math.floor(meta.percent)}%`);
+            });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(content);
+            a.download = `拼图工程_${Date.now()}.zip`;
+            a.click();
+        } catch (e) {
+            console.error(e);
+            alert('导出失败: ' + e.message);
+        } finally {
+            showToast(false);
         }
-        document.getElementById('replaceInput').value = '';
     };
 
-    const handleOverlayFile = (files) => {
+    const handleProjectFile = async (files) => {
         if (!files.length) return;
-        const img = new Image();
-        img.onload = () => {
-            state.overlayImg = img;
-            document.getElementById('overlayInfoBox').classList.remove('hidden');
-            document.getElementById('overlayName').innerText = files[0].name;
-            document.getElementById('overlayThumb').src = img.src;
-        };
-        img.src = URL.createObjectURL(files[0]);
+        document.getElementById('projectInput').value = '';
+        try {
+            const zip = await JSZip.loadAsync(files[0]);
+            const entry = zip.file('manifest.json');
+            if (!entry) throw new Error('缺少 manifest.json，不是有效的工程文件');
+            const manifest = JSON.parse(await entry.async('string'));
+            if (manifest.app !== PROJECT_APP) throw new Error('不是拼图工程文件');
+            if (typeof manifest.version !== 'number' || manifest.version > PROJECT_VERSION) {
+                throw new Error(`工程版本 v${manifest.version} 过新，请先升级应用`);
+            }
+            if (!Array.isArray(manifest.images)) throw new Error('工程文件已损坏');
+
+            state.pendingProject = { zip, manifest };
+            const overlayCount = (manifest.overlays || []).length + (manifest.overlay ? 1 : 0);
+            document.getElementById('projectImportSummary').innerText =
+                `${manifest.images.length} 张图片、${(manifest.stickers || []).length} 个贴纸${overlayCount ? `、${overlayCount} 个覆盖层` : ''}` +
+                (manifest.exported ? `\n导出于 ${new Date(manifest.exported).toLocaleString()}` : '');
+            document.getElementById('projectImportModal').style.display = 'flex';
+        } catch (e) {
+            console.error(e);
+            alert('无法读取工程: ' + e.message);
+        }
     };
 
-    const clearOverlay = () => {
-        state.overlayImg = null;
-        document.getElementById('overlayInfoBox').classList.add('hidden');
-        document.getElementById('overlayInput').value = '';
+    const closeProjectImport = () => {
+        state.pendingProject = null;
+        document.getElementById('projectImportModal').style.display = 'none';
+    };
+
+    // mode: 'merge' 追加到当前工作区并保留当前设置；'replace' 清空后完整还原
+    const applyProjectImport = async (mode) => {
+        const pending = state.pendingProject;
+        closeProjectImport();
+        if (!pending) return;
+        const { zip, manifest } = pending;
+        const readFile = async (path, name, type) => {
+            const entry = path && zip.file(path);
+            if (!entry) return null;
+            return new File([await entry.async('blob')], name || path, { type: type || '' });
+        };
+
+        let missing = 0;
+        try {
+            showToast(true, '正在导入工程...');
+            if (mode === 'replace') {
+                await DB.clear();
+                await DB.clearAlbum('stickers', state.albumId);
+                await DB.clearAlbum('assets', state.albumId);
+            }
+
+            const files = [];
+            const extras = [];
+            const images = manifest.images.slice().sort((a, b) => (a.order || 0) - (b.order || 0));
+            for (let i = 0; i < images.length; i++) {
+                if (i % 10 === 0) showToast(true, `正在导入工程 ${i + 1}/${images.length}...`);
+                const { file, type, order, ...meta } = images[i];
+                const blob = await readFile(file, meta.name, type);
+                if (!blob) { missing++; continue; }
+                files.push(blob);
+                extras.push(meta);
+            }
+            await DB.addImages(files, extras);
+
+            for (const st of manifest.stickers || []) {
+                const { file, mime, ...meta } = st;
+                if (meta.type === 'image') {
+                    meta.blob = await readFile(file, meta.name, mime);
+                    if (!meta.blob) { missing++; continue; }
+                }
+                await DB.put('stickers', { ...meta, albumId: state.albumId });
+            }
+
+            // 旧版工程只有一个整画布拉伸的覆盖层，混合模式与不透明度在设置里
+            const overlays = (manifest.overlays || []).slice();
+            if (manifest.overlay) {
+                const legacy = manifest.settings || {};
+                overlays.push({
+                    ...manifest.overlay,
+                    mode: legacy.overlayMode || OVERLAY_DEFAULTS.mode,
+                    opacity: legacy.overlayOpacity !== undefined ? parseFloat(legacy.overlayOpacity) : OVERLAY_DEFAULTS.opacity
+                });
+            }
+            // 合并时跳过已有的覆盖层（同名且大小相同），避免重复导入同一工程时翻倍
+            const existing = new Set(mode === 'replace' ? [] : state.overlays.map(ov => `${ov.name}:${ov.blob.size}`));
+            for (const ov of overlays) {
+                const { file, type, ...meta } = ov;
+                const blob = await readFile(file, meta.name, type);
+                if (!blob) { missing++; continue; }
+                if (existing.has(`${meta.name}:${blob.size}`)) continue;
+                await DB.put('assets', { ...OVERLAY_DEFAULTS, ...meta, albumId: state.albumId, kind: 'overlay', blob });
+            }
+
+            if (manifest.background && (mode === 'replace' || !state.background)) {
+                const { file, name, type } = manifest.background;
+                const blob = await readFile(file, name, type);
+                if (blob) {
+                    if (state.background) await DB.remove('assets', state.background.id);
+                    await DB.put('assets', { albumId: state.albumId, kind: 'background', name, blob });
+                } else {
+                    missing++;
+                }
+            }
+
+            if (mode === 'replace' && manifest.settings) {
+                applySettings(manifest.settings);
+                saveSettings();
+            }
+
+            await refreshImagesFromDB();
+            await refreshStickersFromDB();
+            await refreshAssetsFromDB();
+            calculateGroupBatch();
+            updatePreview();
+        } catch (e) {
+            console.error(e);
+            alert('导入失败: ' + e.message);
+        } finally {
+            showToast(false);
+        }
+        if (missing) alert(`工程中有 ${missing} 个文件缺失，已跳过`);
     };
 
     // --- 下载逻辑 ---
@@ -533,8 +2440,7 @@ const App = (() => {
         if (type === 'zip') {
             const zip = new JSZip();
             const folder = zip.folder("拼图");
-            const ext = document.getElementById('customQ_unified').value == 100 ? 'png' : 'jpg';
-            state.generatedBlobs.forEach((b, i) => folder.file(`拼图_${i+1}.${ext}`, b));
+            state.generatedBlobs.forEach((b, i) => folder.file(`拼图_${i+1}.${extOf(b)}`, b));
             zip.generateAsync({type:'blob'}).then(content => {
                 const a = document.createElement('a');
                 a.href = URL.createObjectURL(content);
@@ -547,13 +2453,117 @@ const App = (() => {
                 setTimeout(() => {
                     const a = document.createElement('a');
                     a.href = URL.createObjectURL(b);
-                    a.download = `拼图_${i+1}.${b.type.includes('png')?'png':'jpg'}`;
+                    a.download = `拼图_${i+1}.${extOf(b)}`;
                     a.click();
                 }, i * 1500);
             });
         }
     };
 
+    // --- 分享与复制 ---
+    // 不支持时退回原有的下载方式
+    const downloadBlob = (blob, name) => {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = name;
+        a.click();
+    };
+
+    // Web Share Level 2：直接把文件发给其他应用；用户取消分享不算错误
+    const shareBlobs = async (blobs, names) => {
+        const files = blobs.map((b, i) => new File([b], names[i], { type: b.type }));
+        const fallback = () => (files.length > 1 ? confirmDownload('zip') : downloadBlob(blobs[0], names[0]));
+        if (!navigator.canShare || !navigator.canShare({ files })) {
+            if (navigator.canShare && files.length > 1) alert('当前浏览器无法一次分享这么多文件，将改为打包下载');
+            return fallback();
+        }
+        try {
+            await navigator.share({ files, title: '拼图' });
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error(e);
+            alert('分享失败，将改为下载: ' + e.message);
+            fallback();
+        }
+    };
+
+    const shareResults = () => {
+        if (!state.generatedBlobs.length) return alert('请先生成');
+        shareBlobs(state.generatedBlobs, state.generatedBlobs.map((b, i) => `拼图_${i + 1}.${extOf(b)}`));
+    };
+
+    // 剪贴板普遍只接受 PNG，其余格式先转码
+    const toPngBlob = async (blob) => {
+        if (blob.type === 'image/png') return blob;
+        const bmp = await createImageBitmap(blob);
+        const cvs = Renderer.createCanvas(bmp.width, bmp.height);
+        cvs.getContext('2d').drawImage(bmp, 0, 0);
+        bmp.close();
+        try {
+            return await Renderer.toBlob(cvs, 'image/png');
+        } finally {
+            cvs.width = cvs.height = 0;
+        }
+    };
+
+    const copyBlob = async (blob, name) => {
+        if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+            alert('当前浏览器不支持复制图片，将改为下载');
+            return downloadBlob(blob, name);
+        }
+        try {
+            // 传入 Promise 让 write 在点击事件内同步发起（Safari 要求）
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': toPngBlob(blob) })]);
+            const notice = '已复制到剪贴板';
+            showToast(true, notice);
+            // 期间如有导出等进度提示接管了提示条，不去隐藏它
+            setTimeout(() => {
+                if (document.getElementById('progressText').innerText === notice) showToast(false);
+            }, 1500);
+        } catch (e) {
+            console.error(e);
+            alert('复制失败，将改为下载: ' + e.message);
+            downloadBlob(blob, name);
+        }
+    };
+
+    // --- PDF 导出 ---
+    const openPdfExport = () => {
+        if (!state.generatedBlobs.length) return alert('请先生成');
+        document.getElementById('pdfModal').style.display = 'flex';
+    };
+
+    const closePdfExport = () => {
+        document.getElementById('pdfModal').style.display = 'none';
+    };
+
+    const exportPdf = async () => {
+        closePdfExport();
+        const blobs = state.generatedBlobs.filter(Boolean);
+        if (!blobs.length) return alert('请先生成');
+        // 适应图片时按纸张输出的 DPI 换算页面大小，其余情况按屏幕 96 DPI
+        const paper = document.getElementById('outputMode').value === 'paper';
+        const opts = {
+            page: document.getElementById('pdfPage').value,
+            orientation: document.getElementById('pdfOrientation').value,
+            margin: parseFloat(document.getElementById('pdfMargin').value) || 0,
+            dpi: paper ? parseInt(document.getElementById('outputDpi').value) || 300 : 96
+        };
+        showToast(true, '正在生成 PDF...');
+        try {
+            const pdf = await PdfWriter.create(blobs, opts, async (done, total) => {
+                showToast(true, `正在生成 PDF ${done}/${total}...`);
+                await sleep(0); // 让出主线程刷新进度
+            });
+            downloadBlob(pdf, `拼图_${Date.now()}.pdf`);
+        } catch (e) {
+            console.error(e);
+            alert('PDF 生成失败: ' + e.message);
+        } finally {
+            showToast(false);
+        }
+    };
+
     // --- 拖拽按钮逻辑 ---
     const setupDraggableBtn = () => {
         const btn = document.getElementById('permissionFixBtn');
@@ -600,65 +2610,369 @@ const App = (() => {
     };
 
     // --- Settings Persistence ---
+    // 设置项 key -> 控件 id；key 沿用旧版存储格式
+    const SETTING_FIELDS = {
+        cols: 'cols',
+        group_rows: 'group_rows',
+        aspectRatio: 'aspectRatio',
+        customW: 'customW',
+        customH: 'customH',
+        layoutMode: 'layoutMode',
+        gap: 'gap',
+        fitMode: 'fitMode',
+        fitFill: 'fitFill',
+        fitFillColor: 'fitFillColor',
+        canvasPadding: 'canvasPadding',
+        bgType: 'bgType',
+        bgColor: 'bgColor',
+        bgColor2: 'bgColor2',
+        bgAngle: 'bgAngle',
+        cellRadius: 'cellRadius',
+        borderWidth: 'borderWidth',
+        borderColor: 'borderColor',
+        shadowSize: 'shadowSize',
+        shadowColor: 'shadowColor',
+        shadowOpacity: 'shadowOpacity',
+        quality: 'customQ_unified',
+        outputFormat: 'outputFormat',
+        writeMeta: 'writeMeta',
+        showNum: 'showNum',
+        startNumber: 'startNumber',
+        fontFamily: 'fontFamily',
+        fontWeight: 'fontWeightSelect',
+        customWeight: 'customWeightRange',
+        fontColor: 'fontColor',
+        enableStroke: 'enableStroke',
+        fontStrokeColor: 'fontStrokeColor',
+        fontOpacity: 'fontOpacity',
+        fontPos: 'fontPos',
+        labelFormat: 'labelFormat',
+        labelRestart: 'labelRestart',
+        labelBadge: 'labelBadge',
+        labelBadgeColor: 'labelBadgeColor',
+        captionMode: 'captionMode',
+        outputMode: 'outputMode',
+        outputWidth: 'outputWidth',
+        outputHeight: 'outputHeight',
+        outputPaper: 'outputPaper',
+        outputDpi: 'outputDpi',
+        maxFileSize: 'maxFileSize',
+        headerShow: 'headerShow',
+        headerText: 'headerText',
+        headerSize: 'headerSize',
+        headerAlign: 'headerAlign',
+        footerShow: 'footerShow',
+        footerText: 'footerText',
+        footerSize: 'footerSize',
+        footerAlign: 'footerAlign',
+        bandFont: 'bandFont',
+        bandColor: 'bandColor',
+        bandFill: 'bandFill',
+        bandBg: 'bandBg',
+        dupThreshold: 'dupThreshold',
+        stripExif: 'stripExif',
+        pdfPage: 'pdfPage',
+        pdfOrientation: 'pdfOrientation',
+        pdfMargin: 'pdfMargin'
+    };
+
+    const readSettings = () => {
+        const s = {};
+        Object.entries(SETTING_FIELDS).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            s[key] = el.type === 'checkbox' ? el.checked : el.value;
+        });
+        return s;
+    };
+
+    const applySettings = (s) => {
+        Object.entries(SETTING_FIELDS).forEach(([key, id]) => {
+            if (s[key] === undefined || s[key] === null || s[key] === '') return;
+            const el = document.getElementById(id);
+            if (el.type === 'checkbox') el.checked = !!s[key];
+            else el.value = s[key];
+        });
+        // 旧版本以画质 100% 表示 PNG
+        if (s.outputFormat === undefined && String(s.quality) === '100') document.getElementById('outputFormat').value = 'image/png';
+        // 同步依赖控件值的显隐与数值显示
+        toggleCustomRatio();
+        toggleCustomWeight();
+        toggleFitOptions();
+        toggleBackgroundOptions();
+        toggleOutputOptions();
+        checkOutputFormat();
+        document.getElementById('dupThresholdDisplay').innerText = document.getElementById('dupThreshold').value;
+        document.getElementById('gapValueDisplay').innerText = document.getElementById('gap').value + 'px';
+        ['canvasPadding', 'cellRadius', 'borderWidth', 'shadowSize'].forEach(id => {
+            document.getElementById(`${id}Display`).innerText = document.getElementById(id).value + 'px';
+        });
+        document.getElementById('fontOpacityDisplay').innerText = document.getElementById('fontOpacity').value + '%';
+    };
+
     const saveSettings = () => {
-        const s = {
-            cols: document.getElementById('cols').value,
-            group_rows: document.getElementById('group_rows').value,
-            aspectRatio: document.getElementById('aspectRatio').value,
-            quality: document.getElementById('customQ_unified').value,
-            showNum: document.getElementById('showNum').checked,
-            startNumber: document.getElementById('startNumber').value,
-            fontFamily: document.getElementById('fontFamily').value,
-            fontWeight: document.getElementById('fontWeightSelect').value,
-            customWeight: document.getElementById('customWeightRange').value,
-            fontColor: document.getElementById('fontColor').value,
-            enableStroke: document.getElementById('enableStroke').checked,
-            fontStrokeColor: document.getElementById('fontStrokeColor').value,
-            fontOpacity: document.getElementById('fontOpacity').value,
-            fontPos: document.getElementById('fontPos').value
-        };
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(readSettings()));
+        // 输入时频繁触发，延迟写入相册记录
+        clearTimeout(albumSaveTimer);
+        albumSaveTimer = setTimeout(storeAlbumSettings, 500);
     };
 
     const loadSettings = () => {
         try {
             const s = JSON.parse(localStorage.getItem(SETTINGS_KEY));
             if (!s) return;
-            if(s.cols) document.getElementById('cols').value = s.cols;
-            if(s.group_rows) document.getElementById('group_rows').value = s.group_rows;
-            if(s.aspectRatio) { document.getElementById('aspectRatio').value = s.aspectRatio; toggleCustomRatio(); }
-            if(s.quality) document.getElementById('customQ_unified').value = s.quality;
-            if(s.showNum !== undefined) document.getElementById('showNum').checked = s.showNum;
-            if(s.startNumber) document.getElementById('startNumber').value = s.startNumber;
-            if(s.fontFamily) document.getElementById('fontFamily').value = s.fontFamily;
-            if(s.fontWeight) { document.getElementById('fontWeightSelect').value = s.fontWeight; toggleCustomWeight(); }
-            if(s.customWeight) document.getElementById('customWeightRange').value = s.customWeight;
-            if(s.fontColor) document.getElementById('fontColor').value = s.fontColor;
-            if(s.enableStroke !== undefined) document.getElementById('enableStroke').checked = s.enableStroke;
-            if(s.fontStrokeColor) document.getElementById('fontStrokeColor').value = s.fontStrokeColor;
-            if(s.fontOpacity) document.getElementById('fontOpacity').value = s.fontOpacity;
-            if(s.fontPos) document.getElementById('fontPos').value = s.fontPos;
+            applySettings(s);
         } catch(e) {}
     };
 
+    // --- 相册 (工作区) ---
+    let albumSaveTimer = null;
+
+    const currentAlbum = () => state.albums.find(a => a.id === state.albumId);
+
+    const loadAlbums = async () => {
+        state.albums = await DB.getAllFrom('albums');
+        if (!state.albums.length) {
+            await DB.put('albums', { id: DEFAULT_ALBUM_ID, name: '默认相册', settings: null, created: Date.now() });
+            state.albums = await DB.getAllFrom('albums');
+        }
+        const saved = parseInt(localStorage.getItem(ALBUM_KEY));
+        state.albumId = state.albums.some(a => a.id === saved) ? saved : state.albums[0].id;
+        // 相册记录里的设置优先于 localStorage 中的快照
+        const album = currentAlbum();
+        if (album.settings) applySettings(album.settings);
+        renderAlbumSelect();
+    };
+
+    const renderAlbumSelect = () => {
+        const select = document.getElementById('albumSelect');
+        select.innerHTML = state.albums.map(a => `<option value="${a.id}">${escapeHTML(a.name)}</option>`).join('') +
+            '<option disabled>──────</option>' +
+            '<option value="__new">＋ 新建相册</option>' +
+            '<option value="__rename">重命名当前</option>' +
+            '<option value="__delete">删除当前</option>';
+        select.value = state.albumId;
+    };
+
+    const storeAlbumSettings = () => {
+        const album = currentAlbum();
+        if (!album) return Promise.resolve();
+        album.settings = readSettings();
+        return DB.put('albums', album);
+    };
+
+    const handleAlbumSelect = async (value) => {
+        // 先复位下拉框，操作项不应停留在选中状态
+        document.getElementById('albumSelect').value = state.albumId;
+        if (value === '__new') return createAlbum();
+        if (value === '__rename') return renameAlbum();
+        if (value === '__delete') return deleteAlbum();
+        await switchAlbum(Number(value));
+    };
+
+    const switchAlbum = async (id) => {
+        if (id === state.albumId) return;
+        clearTimeout(albumSaveTimer);
+        flushOverlaySave();
+        flushStickerSave();
+        await storeAlbumSettings();
+
+        state.albumId = id;
+        localStorage.setItem(ALBUM_KEY, id);
+        const album = currentAlbum();
+        if (album && album.settings) applySettings(album.settings);
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(readSettings()));
+        renderAlbumSelect();
+
+        // 生成结果属于上一个相册
+        state.generatedBlobs = [];
+        document.getElementById('resultArea').classList.add('hidden');
+        state.activeStickerId = null;
+        await refreshImagesFromDB();
+        await refreshStickersFromDB();
+        await refreshAssetsFromDB();
+        calculateGroupBatch();
+        updatePreview();
+    };
+
+    // 新相册沿用当前设置
+    const createAlbum = async () => {
+        const name = (prompt('新相册名称', `相册 ${state.albums.length + 1}`) || '').trim();
+        if (!name) return;
+        const id = await DB.put('albums', { name, settings: readSettings(), created: Date.now() });
+        state.albums = await DB.getAllFrom('albums');
+        await switchAlbum(id);
+    };
+
+    const renameAlbum = async () => {
+        const album = currentAlbum();
+        const name = (prompt('相册名称', album.name) || '').trim();
+        if (!name || name === album.name) return;
+        album.name = name;
+        await DB.put('albums', album);
+        renderAlbumSelect();
+    };
+
+    const deleteAlbum = async () => {
+        if (state.albums.length <= 1) return alert('至少保留一个相册');
+        const album = currentAlbum();
+        if (!confirm(`删除相册「${album.name}」及其中的 ${state.images.length} 张图片？此操作不可撤销。`)) return;
+        clearTimeout(albumSaveTimer);
+        // 相册已删除，丢弃未落库的贴纸与覆盖层修改
+        clearTimeout(stickerSaveTimer);
+        pendingSticker = null;
+        clearTimeout(overlaySaveTimer);
+        pendingOverlay = null;
+        await DB.clearImages(album.id);
+        await DB.clearAlbum('stickers', album.id);
+        await DB.clearAlbum('assets', album.id);
+        await DB.remove('albums', album.id);
+        state.albums = state.albums.filter(a => a.id !== album.id);
+        await switchAlbum(state.albums[0].id);
+    };
+
+    // --- 命名预设 ---
+    const loadPresets = () => {
+        try {
+            const list = JSON.parse(localStorage.getItem(PRESETS_KEY));
+            return Array.isArray(list) ? list : [];
+        } catch(e) {
+            return [];
+        }
+    };
+
+    const storePresets = (list) => {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+        renderPresetSelect();
+    };
+
+    const renderPresetSelect = (selected) => {
+        const select = document.getElementById('presetSelect');
+        const current = selected !== undefined ? selected : select.value;
+        const list = loadPresets();
+        select.innerHTML = '<option value="">选择预设...</option>' +
+            list.map(p => `<option value="${escapeHTML(p.name)}">${escapeHTML(p.name)}</option>`).join('');
+        if (list.some(p => p.name === current)) select.value = current;
+    };
+
+    const getSelectedPreset = () => {
+        const name = document.getElementById('presetSelect').value;
+        if (!name) { alert('请先选择一个预设'); return null; }
+        return loadPresets().find(p => p.name === name) || null;
+    };
+
+    const savePreset = () => {
+        const name = (prompt('预设名称', document.getElementById('presetSelect').value) || '').trim();
+        if (!name) return;
+        const list = loadPresets();
+        const existing = list.find(p => p.name === name);
+        if (existing && !confirm(`预设「${name}」已存在，覆盖吗？`)) return;
+        const preset = { name, settings: readSettings(), updated: Date.now() };
+        if (existing) Object.assign(existing, preset);
+        else list.push(preset);
+        storePresets(list);
+        renderPresetSelect(name);
+    };
+
+    const applyPreset = () => {
+        const preset = getSelectedPreset();
+        if (!preset) return;
+        applySettings(preset.settings);
+        saveSettings();
+        calculateGroupBatch();
+        updatePreview();
+    };
+
+    const renamePreset = () => {
+        const preset = getSelectedPreset();
+        if (!preset) return;
+        const name = (prompt('新名称', preset.name) || '').trim();
+        if (!name || name === preset.name) return;
+        const list = loadPresets();
+        if (list.some(p => p.name === name)) return alert(`预设「${name}」已存在`);
+        list.find(p => p.name === preset.name).name = name;
+        storePresets(list);
+        renderPresetSelect(name);
+    };
+
+    const deletePreset = () => {
+        const preset = getSelectedPreset();
+        if (!preset || !confirm(`删除预设「${preset.name}」？`)) return;
+        storePresets(loadPresets().filter(p => p.name !== preset.name));
+    };
+
+    const exportPresets = () => {
+        const list = loadPresets();
+        if (!list.length) return alert('还没有保存任何预设');
+        const data = { app: PROJECT_APP, type: 'presets', version: 1, presets: list };
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        a.download = `拼图预设_${Date.now()}.json`;
+        a.click();
+    };
+
+    // 同名预设直接覆盖
+    const importPresets = async (files) => {
+        if (!files.length) return;
+        document.getElementById('presetInput').value = '';
+        try {
+            const data = JSON.parse(await files[0].text());
+            const incoming = Array.isArray(data) ? data : data.presets;
+            if (!Array.isArray(incoming)) throw new Error('文件中没有预设');
+            const valid = incoming.filter(p => p && typeof p.name === 'string' && p.name.trim() && p.settings && typeof p.settings === 'object');
+            if (!valid.length) throw new Error('文件中没有有效的预设');
+            const list = loadPresets();
+            valid.forEach(p => {
+                const preset = { name: p.name.trim(), settings: p.settings, updated: p.updated || Date.now() };
+                const idx = list.findIndex(x => x.name === preset.name);
+                if (idx > -1) list[idx] = preset;
+                else list.push(preset);
+            });
+            storePresets(list);
+            alert(`已导入 ${valid.length} 个预设`);
+        } catch (e) {
+            alert('导入预设失败: ' + e.message);
+        }
+    };
+
     const setupDragDrop = () => {
         document.addEventListener('dragover', e => { e.preventDefault(); document.getElementById('dragOverlay').classList.add('active'); });
         document.addEventListener('dragleave', e => { if(!e.relatedTarget) document.getElementById('dragOverlay').classList.remove('active'); });
-        document.addEventListener('drop', e => {
+        document.addEventListener('drop', async e => {
             e.preventDefault();
             document.getElementById('dragOverlay').classList.remove('active');
-            handleFiles(e.dataTransfer.files);
+            let files;
+            try {
+                files = await filesFromDrop(e.dataTransfer);
+            } catch (err) {
+                // 遍历文件夹时可能遇到无权限或已被移走的文件
+                console.error(err);
+                return alert('读取拖入的文件失败: ' + err.message);
+            }
+            handleFiles(files);
         });
+        document.addEventListener('paste', handlePaste);
     };
     
-    const hardReset = () => {
-        if(confirm('重置将清空所有图片和设置。确定吗？')) {
+    // 只重置当前相册：图片、贴纸、素材与相册设置
+    const hardReset = async () => {
+        if(confirm('重置将清空当前相册的图片、贴纸和设置。确定吗？')) {
+            clearTimeout(albumSaveTimer);
             localStorage.removeItem(SETTINGS_KEY);
-            DB.clear().then(() => location.reload());
+            const album = currentAlbum();
+            await Promise.all([
+                DB.clear(),
+                DB.clearAlbum('stickers', state.albumId),
+                DB.clearAlbum('assets', state.albumId),
+                album ? DB.put('albums', { ...album, settings: null }) : null
+            ]);
+            location.reload();
         }
     };
     
-    const cancelProcess = () => { state.isCancelled = true; };
+    const cancelProcess = () => {
+        state.isCancelled = true;
+        RenderPool.cancel();
+    };
 
     // 暴露 API
     return {
@@ -667,20 +2981,72 @@ const App = (() => {
         generate,
         clearAll,
         removeDuplicates,
+        resumeImport,
+        reencodeImages,
+        sortImages,
+        applyNameFilter,
+        toggleSelectMode,
+        selectAllVisible,
+        deleteSelected,
+        moveSelected,
+        closeDuplicateReview,
+        confirmRemoveDuplicates,
+        updateDuplicateAlert,
         openImageActions,
         closeImageActions,
         triggerReplace,
         triggerDelete,
         handleReplaceAction,
+        openCropEditor,
+        openAdjustEditor,
+        closeAdjustEditor,
+        setAdjust,
+        rotateAdjust,
+        flipAdjust,
+        toggleAutoLevels,
+        resetAdjust,
+        saveAdjust,
+        applyAdjustToAll,
+        editCaption,
+        closeCropEditor,
+        setCropZoom,
+        resetCrop,
+        saveCrop,
         handleOverlayFile,
-        clearOverlay,
+        updateOverlay,
+        deleteOverlay,
         confirmDownload,
+        shareResults,
+        openPdfExport,
+        closePdfExport,
+        exportPdf,
         calculateGroupBatch,
         toggleCustomRatio,
+        toggleFitOptions,
+        toggleOutputOptions,
+        toggleBackgroundOptions,
+        handleBackgroundFile,
+        clearBackground,
+        checkOutputFormat,
         toggleCustomWeight,
-        updateNumberPreview,
-        enlargeNumberPreview,
-        handleStickerFile: () => {}, // 占位
+        updatePreview,
+        stepPreviewGroup,
+        enlargePreview,
+        handleStickerFile,
+        handleAlbumSelect,
+        savePreset,
+        applyPreset,
+        renamePreset,
+        deletePreset,
+        exportPresets,
+        importPresets,
+        exportProject,
+        handleProjectFile,
+        closeProjectImport,
+        applyProjectImport,
+        addTextSticker,
+        updateSticker,
+        deleteSticker,
         hardReset,
         cancelProcess,
         triggerBrowserPermission
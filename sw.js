@@ -1,9 +1,13 @@
-const CACHE_NAME = 'puzzle-ultimate-v4';
+const CACHE_NAME = 'puzzle-ultimate-v7';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
     './script.js',
+    './render.js',
+    './meta.js',
+    './pdf.js',
+    './render-worker.js',
     'https://cdn.tailwindcss.com',
     'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
     'https://cdnjs.cloudflare.com/ajax/libs/Sortable/1.15.0/Sortable.min.js'